@@ -1,46 +1,247 @@
 // api.js - Content script: authenticated API calls and cache message bridge.
 //
-// lib/aps-constants.js, lib/users-api.js, lib/companies-api.js, and
-// lib/projects-api.js are loaded before this file via manifest.json,
-// so APS_BASE_URL, MSG, UsersAPI, CompaniesAPI, and ProjectsAPI are available
-// as globals.
+// API calls use the profile's 2-legged token from background.js, or — in the
+// optional "Use my ACC session" mode — the user's own ACC session token via
+// pageScript.js, falling back to 2-legged credentials until one is captured.
+//
+// lib/aps-constants.js, lib/throttle.js, lib/aps-client.js, lib/users-api.js,
+// lib/companies-api.js, and lib/projects-api.js are loaded before this file
+// via manifest.json, so APS_BASE_URL, MSG, ApsClient, UsersAPI, CompaniesAPI,
+// and ProjectsAPI are available as globals.
+
+// ── Account ────────────────────────────────────────────────────────────
+
+// Last account seen in this tab's URL; some ACC pages (e.g. project pages)
+// have no /accounts/<uuid> segment and keep using the account they came from.
+let lastSeenAccountId = null;
+
+/**
+ * The ACC account this page belongs to, from the /accounts/<uuid> URL
+ * segment. Every background request carries it so background.js uses that
+ * account's profile and caches; null falls back to the active profile.
+ */
+function currentAccountId() {
+  const match = window.location.href.match(ACC_ACCOUNT_URL_PATTERN);
+  lastSeenAccountId = (match && match[1].toLowerCase()) || lastSeenAccountId;
+  return lastSeenAccountId;
+}
 
 // ── Credentials bridge ─────────────────────────────────────────────────
 
 /**
- * Get a valid 2-legged token and account ID from the background service worker.
+ * Get a valid 2-legged token, account ID and data-centre region for this
+ * page's account from the background service worker.
  */
 async function getAccCredentials() {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: MSG.GET_TOKEN }, (response) => {
+    chrome.runtime.sendMessage({ type: MSG.GET_TOKEN, accountId: currentAccountId() }, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else if (response?.error) {
         reject(new Error(response.error));
       } else {
-        resolve({ token: response.token, accountId: response.accountId });
+        resolve({ token: response.token, accountId: response.accountId, region: response.region });
       }
     });
   });
 }
 
+// ── ACC session bridge (pageScript.js) ─────────────────────────────────
+// In the "Use my ACC session" auth mode (AUTH_MODE.SESSION), pageScript.js is
+// injected into the page, where it captures the bearer token of ACC's own API
+// calls and hands it over window.postMessage. The calls themselves run here,
+// like the 2-legged ones, so the page only ever answers at once.
+
+const PAGE_REQUEST_TIMEOUT_MS = 5 * 1000;
+
+let authMode = AUTH_MODE.CREDENTIALS;
+let pageScriptReady = null;
+const pendingPageRequests = new Map(); // requestId → { resolve, reject, timer }
+let pageRequestCounter = 0;
+
+const authModeLoaded = chrome.storage.local.get(["authMode"]).then(({ authMode: mode }) => applyAuthMode(mode));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.authMode) applyAuthMode(changes.authMode.newValue);
+});
+
+function applyAuthMode(mode) {
+  authMode = mode || AUTH_MODE.CREDENTIALS;
+  if (authMode === AUTH_MODE.SESSION) {
+    injectPageScript().catch((err) => console.warn("ACC Enhancer:", err.message));
+  }
+}
+
+/**
+ * Error meaning "the ACC session can't serve this request", which makes
+ * callApi() fall back to 2-legged credentials.
+ */
+function sessionUnavailableError(message) {
+  const err = new Error(message);
+  err.code = "NO_TOKEN";
+  return err;
+}
+
+function injectScript(file) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = chrome.runtime.getURL(file);
+    script.onload = () => {
+      script.remove();
+      resolve();
+    };
+    script.onerror = () => {
+      script.remove();
+      reject(sessionUnavailableError(`Could not inject ${file} into the page.`));
+    };
+    (document.head || document.documentElement).appendChild(script);
+  });
+}
+
+/**
+ * Inject the page script (once per page).
+ */
+function injectPageScript() {
+  if (!pageScriptReady) {
+    pageScriptReady = injectScript("pageScript.js").catch((err) => {
+      pageScriptReady = null; // allow a retry on the next request
+      throw err;
+    });
+  }
+  return pageScriptReady;
+}
+
+window.addEventListener("message", (event) => {
+  if (event.source !== window || event.data?.type !== "ACC_ENHANCER_RESPONSE") return;
+  const pending = pendingPageRequests.get(event.data.requestId);
+  if (!pending) return;
+
+  pendingPageRequests.delete(event.data.requestId);
+  clearTimeout(pending.timer);
+  if (event.data.error) {
+    const err = new Error(event.data.error);
+    err.code = event.data.code;
+    pending.reject(err);
+  } else {
+    pending.resolve(event.data.result);
+  }
+});
+
+/**
+ * Run a pageScript.js action: "getCredentials" or "dropToken".
+ *
+ * @param {string} action
+ * @param {object} [params]
+ * @returns {Promise<any>}
+ */
+async function pageRequest(action, params = {}) {
+  await injectPageScript();
+
+  const requestId = `${Date.now()}-${++pageRequestCounter}`;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingPageRequests.delete(requestId);
+      reject(sessionUnavailableError(`The page script did not answer "${action}".`));
+    }, PAGE_REQUEST_TIMEOUT_MS);
+    pendingPageRequests.set(requestId, { resolve, reject, timer });
+    window.postMessage(
+      { type: "ACC_ENHANCER_REQUEST", requestId, action, params, accountId: currentAccountId() },
+      "*"
+    );
+  });
+}
+
+/**
+ * Run an API call with the ACC session token captured by pageScript.js.
+ * Throws a NO_TOKEN error when there is none or APS rejects it.
+ *
+ * @param {Function} withCredentials - async ({ token, accountId, region }) => result
+ */
+async function callWithSession(withCredentials) {
+  const { token, accountId, region } = await pageRequest("getCredentials");
+  if (!token) {
+    throw sessionUnavailableError(
+      "No token captured yet. Navigate around ACC to trigger API calls, then try again."
+    );
+  }
+  if (!accountId) throw new Error("No account ID available.");
+
+  try {
+    return await withCredentials({ token, accountId, region });
+  } catch (err) {
+    if (!(err instanceof ApsClient.ApsAuthError)) throw err;
+    pageRequest("dropToken").catch(() => {});
+    throw sessionUnavailableError("Token expired. Navigate within ACC to refresh, then try again.");
+  }
+}
+
+/**
+ * Run one API call with the active auth source: the ACC session when the
+ * session mode is on and a token has been captured, else the profile's
+ * 2-legged credentials from background.js.
+ *
+ * @param {Function} withCredentials - async ({ token, accountId, region }) => result
+ */
+async function callApi(withCredentials) {
+  await authModeLoaded;
+  if (authMode === AUTH_MODE.SESSION) {
+    try {
+      return await callWithSession(withCredentials);
+    } catch (err) {
+      if (err.code !== "NO_TOKEN") throw err;
+      console.log(`ACC Enhancer: ${err.message} Falling back to APS credentials.`);
+    }
+  }
+
+  return withCredentials(await getAccCredentials());
+}
+
+/**
+ * Describe the auth source for the popup: the configured mode, whether the
+ * page script holds a session token, and the source the next call will use.
+ */
+async function describeAuthSource() {
+  await authModeLoaded;
+  let tokenCaptured = false;
+  if (authMode === AUTH_MODE.SESSION) {
+    tokenCaptured = await pageRequest("getCredentials")
+      .then((credentials) => Boolean(credentials?.token))
+      .catch(() => false);
+  }
+  return {
+    mode:      authMode,
+    source:    tokenCaptured ? AUTH_MODE.SESSION : AUTH_MODE.CREDENTIALS,
+    tokenCaptured,
+    accountId: currentAccountId(),
+  };
+}
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg.type !== MSG.GET_AUTH_SOURCE) return;
+  describeAuthSource().then(sendResponse);
+  return true;
+});
+
 // ── Account-level fetchers ─────────────────────────────────────────────
-// Each function gets credentials then delegates to the appropriate lib module.
+// Each function runs through callApi(), delegating to the appropriate lib
+// module with the session or 2-legged credentials.
 
 /**
  * Fetch all account users. Delegates to lib/users-api.js UsersAPI.fetchAll().
  */
 async function fetchAllUsers() {
-  const { token, accountId } = await getAccCredentials();
-  return UsersAPI.fetchAll(token, accountId);
+  return callApi(({ token, accountId, region }) =>
+    UsersAPI.fetchAll(token, accountId, { region })
+  );
 }
 
 /**
  * Fetch all account projects. Delegates to lib/projects-api.js ProjectsAPI.fetchAll().
  */
 async function fetchAllProjects() {
-  const { token, accountId } = await getAccCredentials();
-  const projects = await ProjectsAPI.fetchAll(token, accountId);
+  const projects = await callApi(({ token, accountId, region }) =>
+    ProjectsAPI.fetchAll(token, accountId, { region })
+  );
   console.log(
     `ACC Enhancer: fetched ${projects.length} projects`,
     `(platforms: ${[...new Set(projects.map((p) => p.platform))].join(", ")})`
@@ -52,8 +253,9 @@ async function fetchAllProjects() {
  * Fetch all account companies. Delegates to lib/companies-api.js CompaniesAPI.fetchAll().
  */
 async function fetchAllCompanies() {
-  const { token, accountId } = await getAccCredentials();
-  const companies = await CompaniesAPI.fetchAll(token, accountId);
+  const companies = await callApi(({ token, accountId, region }) =>
+    CompaniesAPI.fetchAll(token, accountId, { region })
+  );
   console.log(`ACC Enhancer: fetched ${companies.length} companies`);
   return companies;
 }
@@ -62,8 +264,9 @@ async function fetchAllCompanies() {
  * Search companies by name. Delegates to lib/companies-api.js CompaniesAPI.searchByName().
  */
 async function searchCompanyByName(companyName) {
-  const { token, accountId } = await getAccCredentials();
-  return CompaniesAPI.searchByName(token, accountId, companyName);
+  return callApi(({ token, accountId, region }) =>
+    CompaniesAPI.searchByName(token, accountId, companyName, { region })
+  );
 }
 
 // ── Project-level fetchers ─────────────────────────────────────────────
@@ -73,61 +276,64 @@ async function searchCompanyByName(companyName) {
  * Delegates to lib/users-api.js UsersAPI.fetchProjectUsers().
  */
 async function fetchProjectMembers(projectId) {
-  const { token } = await getAccCredentials();
-  const members = await UsersAPI.fetchProjectUsers(token, projectId);
+  const members = await callApi(({ token, region }) =>
+    UsersAPI.fetchProjectUsers(token, projectId, { region })
+  );
   console.log(`ACC Enhancer: fetched ${members.length} members for project ${projectId}`);
   return members;
 }
 
+/**
+ * Fetch every project a user belongs to.
+ * Delegates to lib/users-api.js UsersAPI.fetchUserProjects().
+ */
+async function fetchUserProjects(userId) {
+  return callApi(({ token, accountId, region }) =>
+    UsersAPI.fetchUserProjects(token, accountId, userId, { region })
+  );
+}
+
 /**
  * Get companies assigned to a specific project.
  *
  * Tries the HQ v1 endpoint first via CompaniesAPI (works for BIM 360 projects).
  * Falls back to extracting unique company IDs from project members when the
  * primary endpoint returns nothing — this covers ACC-platform projects.
+ * Failures of either call propagate.
  */
 async function fetchProjectCompanies(projectId) {
-  const { token, accountId } = await getAccCredentials();
-
   // Primary: HQ v1 endpoint (lib/companies-api.js)
-  const allCompanies = await CompaniesAPI.fetchProjectCompanies(token, accountId, projectId);
+  const allCompanies = await callApi(({ token, accountId, region }) =>
+    CompaniesAPI.fetchProjectCompanies(token, accountId, projectId, { region })
+  );
   console.log(`ACC Enhancer: total project companies = ${allCompanies.length}`);
   if (allCompanies.length > 0) return allCompanies;
 
   // Fallback: derive companies from project member company IDs (ACC platform)
-  const membersUrl = `${APS_BASE_URL}/construction/admin/v1/projects/${projectId}/users?limit=200`;
-  try {
-    const resp = await fetch(membersUrl, {
-      headers: { Authorization: `Bearer ${token}` },
-    });
-    if (resp.ok) {
-      const payload = await resp.json();
-      const members = payload.results || payload;
-      if (Array.isArray(members)) {
-        const companyIds = new Set();
-        for (const m of members) {
-          if (m.companyId) companyIds.add(m.companyId);
-        }
-        return [...companyIds].map((id) => ({ id }));
-      }
-    }
-  } catch {
-    // Both approaches failed
+  const members = await callApi(({ token, region }) =>
+    UsersAPI.fetchProjectUsers(token, projectId, { region })
+  );
+  const companyIds = new Set();
+  for (const m of members) {
+    if (m.companyId) companyIds.add(m.companyId);
   }
-
-  console.warn(`ACC Enhancer: could not get companies for project ${projectId}`);
-  return [];
+  if (companyIds.size === 0) {
+    console.warn(`ACC Enhancer: no companies found for project ${projectId}`);
+  }
+  return [...companyIds].map((id) => ({ id }));
 }
 
 // ── Cache helpers ──────────────────────────────────────────────────────
+// The caches live in the extension's IndexedDB, which content scripts cannot
+// open (their IndexedDB is the page's origin), so every read is a message.
 
 /**
- * Get the pre-built companies cache from background.js.
- * Returns { cache, timestamp, stale } or throws on error.
+ * Send a message to background.js for this page's account and resolve with
+ * its response, rejecting on runtime errors or `{ error }` responses.
  */
-async function getCompaniesCache() {
+function sendBackgroundMessage(message) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: MSG.GET_CACHE }, (response) => {
+    chrome.runtime.sendMessage({ accountId: currentAccountId(), ...message }, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else if (response?.error) {
@@ -140,37 +346,98 @@ async function getCompaniesCache() {
 }
 
 /**
- * Get the pre-built projects cache from background.js.
+ * Get the stored cache's metadata without loading it.
+ * Returns { accountId, configured, counts, timestamp, stale } or throws on error;
+ * `configured` is false when no profile exists for this page's account.
+ */
+async function getCacheStatus() {
+  return sendBackgroundMessage({ type: MSG.GET_CACHE_STATUS });
+}
+
+/**
+ * Look up one cached company by ID or name (case-insensitive) via the
+ * IndexedDB indexes. Resolves with the nested company entry or null.
+ *
+ * @param {{companyId?: string, name?: string}} query
+ */
+async function lookupCompany(query) {
+  const { company } = await sendBackgroundMessage({ type: MSG.LOOKUP_COMPANY, ...query });
+  return company;
+}
+
+/**
+ * Look up one cached project by ID or name (case-insensitive).
+ * Resolves with the nested project entry or null.
+ *
+ * @param {{projectId?: string, name?: string}} query
+ */
+async function lookupProject(query) {
+  const { project } = await sendBackgroundMessage({ type: MSG.LOOKUP_PROJECT, ...query });
+  return project;
+}
+
+/**
+ * Look up one cached user by ID, email or name (case-insensitive).
+ * Resolves with { uuid, name, email, companyId, companyName, projects } -
+ * each project with the company the user is on it for - or null.
+ *
+ * @param {{userId?: string, email?: string, name?: string}} query
+ */
+async function lookupUser(query) {
+  const { user } = await sendBackgroundMessage({ type: MSG.LOOKUP_USER, ...query });
+  return user;
+}
+
+/**
+ * Get the flat list of cached companies, projects and users the command
+ * palette searches (CacheDB.searchIndex()), or null before the first build.
+ */
+async function getSearchIndex() {
+  const { index } = await sendBackgroundMessage({ type: MSG.GET_SEARCH_INDEX });
+  return index;
+}
+
+/**
+ * Get this page's account watchlist: [{ type, uuid, name }] (lib/watchlist.js).
+ */
+async function getWatchlist() {
+  const { entries } = await sendBackgroundMessage({ type: MSG.GET_WATCHLIST });
+  return entries;
+}
+
+/**
+ * Watch or unwatch a company, project or user of this page's account.
+ *
+ * @param {{type: string, uuid: string, name: string}} entry - type is
+ *   "companies", "projects" or "users"
+ * @param {boolean} watched
+ */
+async function setWatched(entry, watched) {
+  await sendBackgroundMessage({ type: MSG.SET_WATCHED, entry, watched });
+}
+
+/**
+ * Get the full pre-built companies cache from background.js.
+ * Returns { cache, timestamp, stale } or throws on error.
+ */
+async function getCompaniesCache() {
+  return sendBackgroundMessage({ type: MSG.GET_CACHE });
+}
+
+/**
+ * Get the full pre-built projects cache from background.js.
  * Returns { cache, timestamp, stale } or throws on error.
  */
 async function getProjectsCache() {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: MSG.GET_PROJECTS_CACHE }, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response?.error) {
-        reject(new Error(response.error));
-      } else {
-        resolve(response);
-      }
-    });
-  });
+  return sendBackgroundMessage({ type: MSG.GET_PROJECTS_CACHE });
 }
 
 /**
- * Trigger a cache build in the background.
- * Returns { success, count } or throws on error.
+ * Ask the background to rebuild this page's missing or stale cache. Being
+ * automatic, the build waits for the freshness settings' rebuild window and
+ * idle/battery options.
+ * Returns { success, count } or { skipped: reason }, or throws on error.
  */
 async function triggerCacheBuild() {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: MSG.BUILD_CACHE }, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response?.error) {
-        reject(new Error(response.error));
-      } else {
-        resolve(response);
-      }
-    });
-  });
+  return sendBackgroundMessage({ type: MSG.BUILD_CACHE, auto: true });
 }
@@ -6,67 +6,107 @@
 
 importScripts(
   "lib/aps-constants.js",
+  "lib/cache-freshness.js",
+  "lib/secret-vault.js",
+  "lib/profiles.js",
+  "lib/throttle.js",
+  "lib/aps-client.js",
   "lib/users-api.js",
   "lib/companies-api.js",
   "lib/projects-api.js",
-  "lib/cache-builder.js"
+  "lib/build-scope.js",
+  "lib/connection-test.js",
+  "lib/cache-builder.js",
+  "lib/cache-bundle.js",
+  "lib/cache-history.js",
+  "lib/watchlist.js",
+  "lib/cache-db.js"
 );
 
-// Allow content scripts to read tokens from session storage directly.
+// Session storage holds the tokens and the unlocked SecretVault key, so keep
+// it away from content scripts; they get tokens through MSG.GET_TOKEN.
 chrome.storage.session.setAccessLevel({
-  accessLevel: "TRUSTED_AND_UNTRUSTED_CONTEXTS",
+  accessLevel: "TRUSTED_CONTEXTS",
 });
 
 // ── Token Management ───────────────────────────────────────────────────
 // mirrors acc/admin.py get2LeggedToken()
+//
+// Each profile (lib/profiles.js) has its own token, kept in session storage
+// as `tokens: { [accountId]: { token, expiresAt } }`.
 
 /**
- * Obtain a fresh 2-legged token using stored APS credentials.
+ * Resolve the account a request is for: the explicit account ID (e.g. from
+ * the ACC URL in a content script), else the active profile's.
  */
-async function get2LeggedToken() {
-  const data = await chrome.storage.local.get([
-    "apsClientId",
-    "apsClientSecret",
-    "apsAccountId",
-  ]);
-
-  if (!data.apsClientId || !data.apsClientSecret) {
+async function resolveAccountId(accountId) {
+  await storageMigration;
+  const resolved = accountId ? accountId.toLowerCase() : await Profiles.getActiveId();
+  if (!resolved) {
     throw new Error(
-      "APS credentials not configured. Right-click the extension icon > Options to set them up."
+      "No APS profile configured. Right-click the extension icon > Options to add one."
     );
   }
+  return resolved;
+}
 
+/**
+ * Request a 2-legged token for an APS app. Failures throw ApsClient errors
+ * (ApsAuthError for rejected credentials).
+ *
+ * @returns {Promise<{access_token: string, expires_in: number}>}
+ */
+async function request2LeggedToken(clientId, clientSecret) {
   const body = new URLSearchParams({
     grant_type: "client_credentials",
     scope: "account:read data:read",
   });
 
-  const resp = await fetch(APS_TOKEN_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
-      Authorization: "Basic " + btoa(`${data.apsClientId}:${data.apsClientSecret}`),
-    },
-    body: body.toString(),
-  });
+  let resp;
+  try {
+    resp = await fetch(APS_TOKEN_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: "Basic " + btoa(`${clientId}:${clientSecret}`),
+      },
+      body: body.toString(),
+    });
+  } catch (err) {
+    throw new ApsClient.ApsError(`Token request failed: ${err.message}`, { url: APS_TOKEN_URL });
+  }
 
   if (!resp.ok) {
     const text = await resp.text().catch(() => "");
-    throw new Error(`Token request failed: ${resp.status} ${text}`);
+    throw ApsClient.errorForStatus(resp.status, "token request", APS_TOKEN_URL, text);
   }
+  return resp.json();
+}
 
-  const tokenData = await resp.json();
+/**
+ * Obtain a fresh 2-legged token using the account's profile credentials.
+ * Fails with SecretVault.VaultLockedError while the passphrase is not entered.
+ */
+async function get2LeggedToken(accountId) {
+  const profile = await Profiles.get(accountId);
+
+  if (!profile) {
+    throw new Error(
+      `No APS profile for account ${accountId}. Right-click the extension icon > Options to add one.`
+    );
+  }
+
+  const tokenData = await request2LeggedToken(profile.clientId, await Profiles.clientSecret(profile));
   const token     = tokenData.access_token;
   const expiresAt = Date.now() + tokenData.expires_in * 1000;
 
+  const { tokens } = await chrome.storage.session.get(["tokens"]);
   await chrome.storage.session.set({
-    accBearerToken: token,
-    tokenExpiresAt: expiresAt,
-    accAccountId:   data.apsAccountId,
+    tokens: { ...tokens, [accountId]: { token, expiresAt } },
   });
 
   console.log(
-    "ACC Enhancer: 2-legged token obtained, expires in",
+    `ACC Enhancer: 2-legged token obtained for "${profile.name}", expires in`,
     tokenData.expires_in,
     "seconds"
   );
@@ -74,161 +114,1113 @@ async function get2LeggedToken() {
 }
 
 /**
- * Return a valid token, refreshing if missing or expiring within 5 minutes.
+ * Return a valid token for the account, refreshing if missing or expiring
+ * within 5 minutes.
+ */
+async function ensureToken(accountId) {
+  const { tokens } = await chrome.storage.session.get(["tokens"]);
+  const cached = tokens?.[accountId];
+
+  if (!cached || Date.now() > cached.expiresAt - 5 * 60 * 1000) {
+    return get2LeggedToken(accountId);
+  }
+
+  return cached.token;
+}
+
+/**
+ * Forget an account's token, e.g. after its credentials changed.
+ */
+async function dropToken(accountId) {
+  const { tokens } = await chrome.storage.session.get(["tokens"]);
+  if (!tokens?.[accountId]) return;
+  delete tokens[accountId];
+  await chrome.storage.session.set({ tokens });
+}
+
+// ── Cache Storage ──────────────────────────────────────────────────────
+// The caches themselves live in IndexedDB (lib/cache-db.js), one database per
+// account. Only small metadata stays in chrome.storage.local, keyed by
+// account ID under `cacheMeta`: timestamps, per-store counts for the
+// popup/options summary, and the last build report.
+
+/**
+ * Move data written by older, single-account versions into the per-account
+ * layout: caches stored as whole arrays in chrome.storage.local go to
+ * IndexedDB, flat cache metadata goes under `cacheMeta`, and the single set
+ * of credentials becomes a profile. Safe to call repeatedly.
  */
-async function ensureToken() {
-  const data = await chrome.storage.session.get([
-    "accBearerToken",
-    "tokenExpiresAt",
+async function migrateLegacyStorage() {
+  const legacy = await chrome.storage.local.get([
+    "companiesCache",
+    "projectsCache",
+    "companiesCacheTimestamp",
+    "projectsCacheTimestamp",
+    "cacheBuildStartedAt",
+    "cacheCounts",
+    "cacheBuildReport",
+    "cacheAccountId",
+    "apsAccountId",
   ]);
+  const accountId = (legacy.cacheAccountId || legacy.apsAccountId || "").toLowerCase();
 
-  if (
-    !data.accBearerToken ||
-    !data.tokenExpiresAt ||
-    Date.now() > data.tokenExpiresAt - 5 * 60 * 1000
-  ) {
-    return get2LeggedToken();
+  if (Array.isArray(legacy.companiesCache) || Array.isArray(legacy.projectsCache)) {
+    if (accountId) {
+      const companiesCache = legacy.companiesCache || [];
+      const projectsCache  = legacy.projectsCache  || [];
+      legacy.cacheCounts = await CacheDB.writeCaches(accountId, {
+        companiesCache,
+        projectsCache,
+        usersCache: buildUsersCache(companiesCache, projectsCache),
+      });
+      console.log("ACC Enhancer: migrated cache from chrome.storage.local to IndexedDB", legacy.cacheCounts);
+    }
+    await chrome.storage.local.remove(["companiesCache", "projectsCache"]);
   }
 
-  return data.accBearerToken;
+  if (legacy.companiesCacheTimestamp || legacy.cacheCounts || legacy.cacheBuildReport) {
+    if (accountId) {
+      await updateCacheMeta(accountId, {
+        companiesCacheTimestamp: legacy.companiesCacheTimestamp,
+        projectsCacheTimestamp:  legacy.projectsCacheTimestamp,
+        cacheBuildStartedAt:     legacy.cacheBuildStartedAt,
+        cacheCounts:             legacy.cacheCounts,
+        buildReport:             legacy.cacheBuildReport,
+      });
+    }
+    await chrome.storage.local.remove([
+      "companiesCacheTimestamp",
+      "projectsCacheTimestamp",
+      "cacheBuildStartedAt",
+      "cacheCounts",
+      "cacheBuildReport",
+      "cacheAccountId",
+    ]);
+  }
+
+  await Profiles.migrateLegacy();
+}
+
+// Every cache read/write waits for this, so legacy data is never missed
+const storageMigration = migrateLegacyStorage().catch((err) =>
+  console.error("ACC Enhancer: legacy storage migration failed:", err)
+);
+
+/**
+ * Return the cache metadata of one account:
+ *   { companiesCacheTimestamp, projectsCacheTimestamp, cacheBuildStartedAt,
+ *     region, scope, cacheCounts, buildReport }
+ * `scope` is the BuildScope the cache was built with (null: every project).
+ * Every field is missing when no cache was built for the account yet.
+ */
+async function getCacheMeta(accountId) {
+  await storageMigration;
+  const { cacheMeta } = await chrome.storage.local.get(["cacheMeta"]);
+  return cacheMeta?.[accountId] || {};
+}
+
+/**
+ * True when an account's cache is missing or older than the configured
+ * maximum age (`freshness`: CacheFreshness.load()), or was fetched from
+ * another region or with another build scope than its profile now uses.
+ */
+function cacheNeedsRebuild(meta, profile, freshness) {
+  return CacheFreshness.isStale(meta.companiesCacheTimestamp, freshness) ||
+    (meta.region || APS_DEFAULT_REGION) !== (profile?.region || APS_DEFAULT_REGION) ||
+    !BuildScope.equals(meta.scope, profile?.buildScope);
+}
+
+/**
+ * Merge `patch` into one account's cache metadata (null removes the entry).
+ */
+async function updateCacheMeta(accountId, patch) {
+  const { cacheMeta = {} } = await chrome.storage.local.get(["cacheMeta"]);
+  if (patch === null) {
+    delete cacheMeta[accountId];
+  } else {
+    cacheMeta[accountId] = { ...cacheMeta[accountId], ...patch };
+  }
+  await chrome.storage.local.set({ cacheMeta });
 }
 
 // ── Cache Orchestration ────────────────────────────────────────────────
 
-let cacheBuilding = false;
+let activeBuild   = null; // { accountId, promise } of the running build, shared by its callers
+let activeControl = null; // createBuildControl() of the running build
+let buildStatus   = null; // structured progress of the running/last build
+
+/**
+ * Update the structured build status and broadcast it to popup/options.
+ *
+ * The message keeps the plain `step`/`detail` fields and adds `progress`:
+ *   { accountId, profileName, phase, detail, current, total, failures,
+ *     startedAt, elapsedMs, etaMs, paused, resumedAt }
+ * ETA is extrapolated from the crawl rate observed in this worker's lifetime,
+ * so restored (resumed) projects don't skew it.
+ */
+function sendProgress(step, detail, counts) {
+  if (buildStatus) {
+    const now = Date.now();
+    buildStatus.phase     = step;
+    buildStatus.detail    = detail;
+    buildStatus.elapsedMs = now - buildStatus.startedAt;
+
+    if (counts) {
+      buildStatus.current  = counts.current;
+      buildStatus.total    = counts.total;
+      buildStatus.failures = counts.failures;
+      buildStatus.rateBase ||= { at: now, current: counts.current };
+      const crawled = counts.current - buildStatus.rateBase.current;
+      buildStatus.etaMs = crawled > 0
+        ? Math.round(((now - buildStatus.rateBase.at) / crawled) * (counts.total - counts.current))
+        : null;
+    } else if (step !== "mapping") {
+      buildStatus.etaMs = null;
+    }
+  }
 
-function sendProgress(step, detail) {
   chrome.runtime
-    .sendMessage({ type: MSG.CACHE_PROGRESS, step, detail })
+    .sendMessage({ type: MSG.CACHE_PROGRESS, step, detail, progress: buildStatus })
     .catch(() => {}); // ignore if no listeners (popup closed, etc.)
 }
 
 /**
- * Build both caches (companies + projects) and persist them to local storage.
+ * Build both caches (companies + projects) and persist them to IndexedDB.
  * Delegates the heavy lifting to lib/cache-builder.js buildCompaniesCache().
+ *
+ * Runs incrementally against the stored caches when they exist, re-crawling
+ * only projects changed since the previous build. Pass `{ full: true }` to
+ * force a complete re-crawl.
+ *
+ * Callers arriving while a build for the same account is running join it;
+ * only one build runs at a time, so a build for another account is refused
+ * until it finishes. A build interrupted by service-worker termination is
+ * resumed from its checkpoint (see runCacheBuild), unless a full rebuild is
+ * requested over an incremental one.
+ *
+ * @param {object}  [options]
+ * @param {string}  [options.accountId] - profile to build (default: active profile)
+ * @param {boolean} [options.full] - ignore stored caches and re-crawl everything
+ * @param {boolean} [options.resumePaused] - allow resuming a paused build
+ * @param {boolean} [options.retryFailed] - only re-crawl the projects the last
+ *   build report lists as failed, merging them into the stored caches
+ * @returns {Promise<object[]>} the new companies cache
  */
-async function triggerCacheBuild() {
-  if (cacheBuilding) throw new Error("Cache build already in progress.");
-  cacheBuilding = true;
+async function triggerCacheBuild(options = {}) {
+  const accountId = await resolveAccountId(options.accountId);
+
+  if (activeBuild && (activeBuild.accountId !== accountId || options.retryFailed)) {
+    throw new Error("A cache build is already running. Try again when it finishes.");
+  }
+  if (!activeBuild) {
+    const promise = runCacheBuild({ ...options, accountId }).finally(() => {
+      activeBuild = null;
+    });
+    activeBuild = { accountId, promise };
+  }
+  return activeBuild.promise;
+}
+
+/**
+ * Run (or resume) one cache build.
+ *
+ * Progress is checkpointed so MV3 terminating the worker mid-crawl loses
+ * nothing: `cacheBuildCheckpoint` in chrome.storage.local records the run
+ * (account, mode, `since`, start time) and the CacheDB checkpoint store holds
+ * each finished project's crawl results. Both are cleared on success; on
+ * failure they are kept, flagged with `failedAt`, for the next build to resume.
+ *
+ * Each finished build stores its per-project outcomes as the account's
+ * `buildReport` cache metadata (see createBuildReport). A retry run (`run.retryProjectIds`) merges its
+ * outcomes into that report instead of replacing it, and leaves the cache
+ * timestamps alone since the account-level lists were not re-fetched.
+ *
+ * Builds cover the projects of the profile's `buildScope`; an incremental
+ * build after a scope change drops the projects that left it and crawls
+ * the ones that entered it.
+ */
+async function runCacheBuild({ accountId, full = false, resumePaused = false, retryFailed = false }) {
+  const { cacheBuildCheckpoint: pending } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (pending?.paused && !resumePaused) {
+    throw new Error("A cache build is paused. Resume or cancel it first.");
+  }
+  if (pending && retryFailed) {
+    throw new Error("Finish or cancel the unfinished cache build before retrying failed projects.");
+  }
+
+  const token   = await ensureToken(accountId);
+  const profile = await Profiles.get(accountId);
+  const region  = profile.region || APS_DEFAULT_REGION;
+  const scope   = BuildScope.normalize(profile.buildScope);
+  const meta    = await getCacheMeta(accountId);
+  // Caches fetched from another region's endpoints can't be patched or resumed
+  const sameRegion = (meta.region || APS_DEFAULT_REGION) === region;
+  const report  = meta.buildReport || null;
+  const { cacheBuildConcurrency, cacheBuildCheckpoint: saved } = await chrome.storage.local.get([
+    "cacheBuildConcurrency",
+    "cacheBuildCheckpoint",
+  ]);
+
+  let run = saved && saved.accountId === accountId && (saved.region || APS_DEFAULT_REGION) === region &&
+    BuildScope.equals(saved.scope, scope) && (!full || saved.full) ? saved : null;
+  if (retryFailed) {
+    const retryProjectIds = failedProjectIds(report);
+    if (!retryProjectIds.length || !meta.companiesCacheTimestamp || !sameRegion) {
+      throw new Error("The last build report has no failed projects to retry.");
+    }
+    await CacheDB.clearCheckpoint(accountId);
+    run = { accountId, region, scope: meta.scope || null, full: false, retryProjectIds, startedAt: Date.now() };
+  } else if (run) {
+    delete run.failedAt;
+    delete run.paused;
+    console.log("ACC Enhancer: resuming cache build started", new Date(run.startedAt).toLocaleString());
+  } else {
+    if (saved) await CacheDB.clearCheckpoint(saved.accountId).catch(() => {});
+    await CacheDB.clearCheckpoint(accountId);
+
+    const canPatch = !full && meta.companiesCacheTimestamp && sameRegion;
+    run = {
+      accountId,
+      region,
+      scope,
+      full:      !canPatch,
+      since:     canPatch ? meta.cacheBuildStartedAt || meta.companiesCacheTimestamp : null,
+      startedAt: Date.now(),
+    };
+  }
+  await chrome.storage.local.set({ cacheBuildCheckpoint: run });
+
+  // Wakes the worker to resume if it is terminated before finishing
+  chrome.alarms.create(CACHE_RESUME_ALARM_NAME, { periodInMinutes: 1 });
+
+  const control = createBuildControl();
+  activeControl = control;
+  buildStatus = {
+    accountId,
+    profileName: profile.name,
+    phase:     "starting",
+    detail:    "Starting...",
+    current:   0,
+    total:     0,
+    failures:  0,
+    startedAt: Date.now(),
+    elapsedMs: 0,
+    etaMs:     null,
+    paused:    false,
+    resumedAt: null,
+  };
 
   try {
-    const token = await ensureToken();
-    const { accAccountId: accountId } = await chrome.storage.session.get(["accAccountId"]);
-    if (!accountId) throw new Error("No account ID configured.");
+    const buildOptions = {
+      region,
+      scope:       run.scope || null,
+      concurrency: cacheBuildConcurrency,
+      control,
+      checkpoint: {
+        done: await CacheDB.readCheckpoint(accountId),
+        save: (entry) => CacheDB.saveCheckpointEntry(accountId, entry),
+        onResume: (project, total) => {
+          run.resumedAt = { project, total };
+          buildStatus.resumedAt = run.resumedAt;
+          return chrome.storage.local.set({ cacheBuildCheckpoint: run });
+        },
+      },
+    };
+    if (run.retryProjectIds) {
+      buildOptions.previous        = await CacheDB.readCaches(accountId);
+      buildOptions.retryProjectIds = new Set(run.retryProjectIds);
+    } else if (!run.full) {
+      buildOptions.previous = await CacheDB.readCaches(accountId);
+      buildOptions.since    = run.since;
+      // Projects that failed last time are re-crawled even when unchanged
+      buildOptions.recrawlProjectIds = new Set(failedProjectIds(report));
+    }
 
-    const { companiesCache, projectsCache } = await buildCompaniesCache(
+    const { companiesCache, projectsCache, usersCache, stats } = await buildCompaniesCache(
       token,
       accountId,
-      sendProgress
+      sendProgress,
+      buildOptions
     );
 
-    const now = Date.now();
-    await chrome.storage.local.set({
-      companiesCache,
-      companiesCacheTimestamp: now,
-      projectsCache,
-      projectsCacheTimestamp:  now,
-    });
+    const cacheCounts = await CacheDB.writeCaches(accountId, { companiesCache, projectsCache, usersCache });
+    const runReport   = createBuildReport(stats, run);
+    const failedIds = stats.outcomes.filter((o) => FAILED_OUTCOMES.has(o.outcome)).map((o) => o.projectId);
+    await recordCacheHistory(accountId, { companiesCache, projectsCache }, stats.mode, failedIds);
+
+    if (run.retryProjectIds) {
+      await updateCacheMeta(accountId, {
+        cacheCounts,
+        buildReport: report ? mergeBuildReports(report, runReport) : runReport,
+      });
+    } else {
+      const now = Date.now();
+      await updateCacheMeta(accountId, {
+        companiesCacheTimestamp: now,
+        projectsCacheTimestamp:  now,
+        cacheBuildStartedAt:     run.startedAt,
+        region,
+        scope:                   run.scope || null,
+        cacheCounts,
+        buildReport:             runReport,
+      });
+    }
+    await CacheDB.clearCheckpoint(accountId);
+    await chrome.storage.local.remove("cacheBuildCheckpoint");
+
+    if (run.retryProjectIds) {
+      const stillFailing = stats.projectsFailed;
+      sendProgress(
+        "done",
+        `Retried ${stats.projectsCrawled} failed projects: ` +
+          `${stats.projectsCrawled - stillFailing} recovered, ${stillFailing} still failing.`
+      );
+      return companiesCache;
+    }
 
+    const failedNote = stats.projectsFailed ? `, ${stats.projectsFailed} failed` : "";
     sendProgress(
       "done",
-      `Cache built: ${companiesCache.length} companies, ${projectsCache.length} projects.`
+      `Cache built (${stats.mode}, ${stats.projectsCrawled}/${stats.projectsTotal} projects crawled${failedNote}): ` +
+        `${companiesCache.length} companies, ${projectsCache.length} projects.`
     );
     console.log(
-      `ACC Enhancer: cache built with ${companiesCache.length} companies,`,
-      `${projectsCache.length} projects`
+      `ACC Enhancer: ${stats.mode} cache build with ${companiesCache.length} companies,`,
+      `${projectsCache.length} projects (${stats.projectsCrawled} crawled, ${stats.projectsResumed} resumed)`
     );
 
     return companiesCache;
+  } catch (err) {
+    if (err instanceof BuildCancelledError) {
+      await discardBuildCheckpoint();
+      sendProgress("cancelled", "Cache build cancelled.");
+    } else {
+      // Keep the checkpoint for the next build, but stop auto-resuming a failing one
+      run.failedAt = Date.now();
+      await chrome.storage.local.set({ cacheBuildCheckpoint: run });
+      sendProgress("error", err.message);
+    }
+    throw err;
   } finally {
-    cacheBuilding = false;
+    activeControl = null;
+    chrome.alarms.clear(CACHE_RESUME_ALARM_NAME);
+  }
+}
+
+/**
+ * Snapshot freshly written caches into the account's build history, with
+ * their diff against the previous snapshot (null for the first one). Keeps
+ * the `cacheHistoryRetention` newest entries. A failure is logged and does
+ * not fail the build.
+ *
+ * `failedProjectIds` are projects whose crawl failed: they keep their
+ * previous members, so the diff has no membership changes for them.
+ */
+async function recordCacheHistory(accountId, caches, mode, failedProjectIds = []) {
+  try {
+    const { cacheHistoryRetention } = await chrome.storage.local.get(["cacheHistoryRetention"]);
+    const snapshot = CacheHistory.snapshot(caches);
+    const previous = (await CacheDB.latestHistoryEntry(accountId))?.snapshot;
+    if (previous) CacheHistory.keepMembers(snapshot, previous, failedProjectIds);
+    await CacheDB.addHistoryEntry(
+      accountId,
+      { takenAt: Date.now(), mode, snapshot, diff: previous ? CacheHistory.diff(previous, snapshot) : null },
+      cacheHistoryRetention || CACHE_HISTORY_RETENTION
+    );
+  } catch (err) {
+    console.error("ACC Enhancer: could not record cache history:", err);
+  }
+}
+
+/**
+ * Forget an unfinished build entirely (checkpoint meta and crawled projects).
+ */
+async function discardBuildCheckpoint() {
+  const { cacheBuildCheckpoint } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (cacheBuildCheckpoint) await CacheDB.clearCheckpoint(cacheBuildCheckpoint.accountId).catch(() => {});
+  await chrome.storage.local.remove("cacheBuildCheckpoint");
+}
+
+/**
+ * Pause the running build after in-flight requests finish. The pause is
+ * persisted so a worker restart doesn't auto-resume it.
+ */
+async function pauseCacheBuild() {
+  const { cacheBuildCheckpoint: run } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (!activeControl && !run) throw new Error("No cache build is running.");
+
+  activeControl?.pause();
+  if (buildStatus) buildStatus.paused = true;
+  if (run) await chrome.storage.local.set({ cacheBuildCheckpoint: { ...run, paused: true } });
+  chrome.alarms.clear(CACHE_RESUME_ALARM_NAME);
+  sendProgress(buildStatus?.phase || "paused", "Cache build paused.");
+}
+
+/**
+ * Resume a paused build: un-pause it in place when it is still running in
+ * this worker, otherwise restart it from its checkpoint.
+ */
+async function resumeCacheBuild() {
+  if (activeControl) {
+    const { cacheBuildCheckpoint: run } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+    if (run) {
+      delete run.paused;
+      await chrome.storage.local.set({ cacheBuildCheckpoint: run });
+    }
+    chrome.alarms.create(CACHE_RESUME_ALARM_NAME, { periodInMinutes: 1 });
+    activeControl.resume();
+    if (buildStatus) buildStatus.paused = false;
+    sendProgress(buildStatus?.phase || "mapping", "Cache build resumed.");
+    return;
+  }
+  const { cacheBuildCheckpoint: run } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  triggerCacheBuild({ accountId: run?.accountId, resumePaused: true }).catch((err) =>
+    console.error("ACC Enhancer: resumed cache build failed:", err)
+  );
+}
+
+/**
+ * Cancel the running build, or discard a paused/interrupted one.
+ */
+async function cancelCacheBuild() {
+  if (activeControl) {
+    activeControl.cancel(); // runCacheBuild discards the checkpoint on its way out
+    return;
+  }
+  await discardBuildCheckpoint();
+  sendProgress("cancelled", "Cache build cancelled.");
+}
+
+/**
+ * Current build status for a freshly opened popup/options page: the live
+ * status when a build runs in this worker, else what the checkpoint recorded.
+ */
+async function getBuildStatus() {
+  if (activeBuild && buildStatus) return { running: true, progress: buildStatus };
+
+  const { cacheBuildCheckpoint: run } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (!run) return { running: false, progress: null };
+  const profile = await Profiles.get(run.accountId);
+  return {
+    running: false,
+    progress: {
+      accountId:   run.accountId,
+      profileName: profile?.name || run.accountId,
+      phase:     run.failedAt ? "error" : run.paused ? "paused" : "interrupted",
+      detail:    null,
+      startedAt: run.startedAt,
+      paused:    Boolean(run.paused),
+      resumedAt: run.resumedAt || null,
+      failedAt:  run.failedAt  || null,
+    },
+  };
+}
+
+/**
+ * Resume a build that was cut short by service-worker termination.
+ * Builds that failed with an error or were paused are left for the next
+ * explicit or scheduled build instead.
+ */
+async function resumeInterruptedBuild() {
+  const { cacheBuildCheckpoint } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (!cacheBuildCheckpoint || cacheBuildCheckpoint.failedAt || cacheBuildCheckpoint.paused) return;
+  if (activeBuild) return;
+
+  console.log("ACC Enhancer: found interrupted cache build, resuming...");
+  await triggerCacheBuild({ accountId: cacheBuildCheckpoint.accountId });
+}
+
+// Every worker start-up checks for an interrupted build
+resumeInterruptedBuild().catch((err) =>
+  console.error("ACC Enhancer: resuming interrupted cache build failed:", err)
+);
+
+// ── Profiles ───────────────────────────────────────────────────────────
+
+/**
+ * Delete a profile together with everything stored for its account: the
+ * IndexedDB caches, cache metadata, an unfinished build and the token.
+ */
+async function deleteProfile(accountId) {
+  if (activeBuild?.accountId === accountId) {
+    throw new Error("A cache build for this profile is running. Cancel it first.");
   }
+
+  const { cacheBuildCheckpoint } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (cacheBuildCheckpoint?.accountId === accountId) await discardBuildCheckpoint();
+
+  await Profiles.remove(accountId);
+  await updateCacheMeta(accountId, null);
+  await dropToken(accountId);
+  await Watchlist.clear(accountId);
+  await CacheDB.deleteDatabase(accountId);
 }
 
+/**
+ * Check a profile's connection step by step (lib/connection-test.js).
+ *
+ * Tests the saved profile of `accountId`, or the unsaved `credentials`
+ * ({ accountId, region, clientId, clientSecret }) typed into the popup or
+ * options form; an empty secret there means the saved profile's secret.
+ * Saved profiles go through get2LeggedToken(), which also refreshes their
+ * cached token.
+ */
+async function testConnection({ accountId, credentials }) {
+  if (!credentials) {
+    const id      = await resolveAccountId(accountId);
+    const profile = await Profiles.get(id);
+    return ConnectionTest.run({ getToken: () => get2LeggedToken(id), accountId: id, region: profile?.region });
+  }
+
+  const id = (credentials.accountId || "").trim().toLowerCase();
+  if (!/^[a-f0-9-]{36}$/.test(id)) throw new Error("Account ID must be a 36-character UUID.");
+  const saved = await Profiles.get(id);
+
+  return ConnectionTest.run({
+    accountId: id,
+    region:    credentials.region,
+    getToken:  async () => {
+      const clientSecret = credentials.clientSecret || (saved && (await Profiles.clientSecret(saved)));
+      if (!credentials.clientId || !clientSecret) throw new Error("Enter the Client ID and Client Secret.");
+      return (await request2LeggedToken(credentials.clientId, clientSecret)).access_token;
+    },
+  });
+}
+
+// ── Cache Bundles ──────────────────────────────────────────────────────
+// Export/import an account's caches as a JSON bundle (lib/cache-bundle.js),
+// so teammates can share one build and a point-in-time state can be archived.
+
+/**
+ * Bundle an account's stored caches.
+ *
+ * @returns {Promise<object>}
+ */
+async function exportCacheBundle(accountId) {
+  const meta = await getCacheMeta(accountId);
+  if (!meta.companiesCacheTimestamp) throw new Error("No cache built yet for this profile.");
+  const caches = await CacheDB.readCaches(accountId);
+  return CacheBundle.create({ accountId, meta, caches });
+}
+
+/**
+ * Replace an account's caches with a validated bundle. The bundle's
+ * timestamps become the cache's, so the next incremental build re-crawls
+ * what changed since the bundle was built; the last build report no longer
+ * applies and is dropped.
+ *
+ * @returns {Promise<object>} the stored per-store counts
+ */
+async function importCacheBundle(accountId, bundle) {
+  const profile = await Profiles.get(accountId);
+  if (!profile) throw new Error(`No APS profile for account ${accountId}.`);
+  CacheBundle.validate(bundle, { accountId, region: profile.region });
+
+  const { cacheBuildCheckpoint } = await chrome.storage.local.get(["cacheBuildCheckpoint"]);
+  if (activeBuild?.accountId === accountId || cacheBuildCheckpoint?.accountId === accountId) {
+    throw new Error("This profile has a running or unfinished cache build. Cancel it before importing.");
+  }
+
+  const cacheCounts = await CacheDB.writeCaches(accountId, {
+    companiesCache: bundle.companiesCache,
+    projectsCache:  bundle.projectsCache,
+    usersCache:     buildUsersCache(bundle.companiesCache, bundle.projectsCache),
+  });
+  await recordCacheHistory(accountId, bundle, "import");
+  await updateCacheMeta(accountId, {
+    companiesCacheTimestamp: bundle.companiesCacheTimestamp,
+    projectsCacheTimestamp:  bundle.projectsCacheTimestamp,
+    cacheBuildStartedAt:     bundle.cacheBuildStartedAt || bundle.companiesCacheTimestamp,
+    region:                  bundle.region || APS_DEFAULT_REGION,
+    scope:                   BuildScope.normalize(bundle.scope),
+    cacheCounts,
+    buildReport:             null,
+  });
+  console.log(`ACC Enhancer: imported cache bundle for "${profile.name}"`, cacheCounts);
+  return cacheCounts;
+}
+
+// First install: open the options page, which shows its setup wizard while
+// no profile exists
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  if (reason === chrome.runtime.OnInstalledReason.INSTALL) chrome.runtime.openOptionsPage();
+});
+
 // ── Message Handlers ───────────────────────────────────────────────────
+// Messages may carry `accountId` (content scripts send the account of the
+// ACC page they run in); without it the active profile is used.
 
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg.type === MSG.GET_TOKEN) {
-    ensureToken()
-      .then(async (token) => {
-        const data = await chrome.storage.session.get(["accAccountId"]);
-        sendResponse({ token, accountId: data.accAccountId });
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const token   = await ensureToken(accountId);
+        const profile = await Profiles.get(accountId);
+        sendResponse({ token, accountId, region: profile.region || APS_DEFAULT_REGION });
       })
       .catch((err) => sendResponse({ error: err.message }));
     return true; // keep channel open for async response
   }
 
   if (msg.type === MSG.BUILD_CACHE) {
-    triggerCacheBuild()
-      .then((result) => sendResponse({ success: true, count: result.length }))
-      .catch((err)   => sendResponse({ error: err.message }));
+    // `auto` builds (an ACC page found its cache stale) honour the freshness
+    // settings' rebuild window and idle/battery options
+    (msg.auto ? autoBuildBlocker() : Promise.resolve(null))
+      .then(async (blocker) => {
+        if (blocker) return sendResponse({ skipped: blocker });
+        const result = await triggerCacheBuild({ accountId: msg.accountId, full: Boolean(msg.full) });
+        sendResponse({ success: true, count: result.length });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.PAUSE_BUILD || msg.type === MSG.RESUME_BUILD || msg.type === MSG.CANCEL_BUILD) {
+    const action = {
+      [MSG.PAUSE_BUILD]:  pauseCacheBuild,
+      [MSG.RESUME_BUILD]: resumeCacheBuild,
+      [MSG.CANCEL_BUILD]: cancelCacheBuild,
+    }[msg.type];
+    action()
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_BUILD_STATUS) {
+    getBuildStatus()
+      .then(sendResponse)
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.RETRY_FAILED) {
+    triggerCacheBuild({ accountId: msg.accountId, retryFailed: true })
+      .then(async () => {
+        const meta = await getCacheMeta(await resolveAccountId(msg.accountId));
+        sendResponse({ success: true, report: meta.buildReport || null });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_BUILD_REPORT) {
+    resolveAccountId(msg.accountId)
+      .then(getCacheMeta)
+      .then((meta) => sendResponse({ report: meta.buildReport || null }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.DELETE_PROFILE) {
+    deleteProfile(msg.accountId)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.TEST_CONNECTION) {
+    testConnection({ accountId: msg.accountId, credentials: msg.credentials })
+      .then((steps) => sendResponse({ steps }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.EXPORT_CACHE) {
+    resolveAccountId(msg.accountId)
+      .then(exportCacheBundle)
+      .then((bundle) => sendResponse({ bundle }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.IMPORT_CACHE) {
+    resolveAccountId(msg.accountId)
+      .then((accountId) => importCacheBundle(accountId, msg.bundle))
+      .then((counts) => sendResponse({ success: true, counts }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_CACHE_STATUS) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta    = await getCacheMeta(accountId);
+        const profile = await Profiles.get(accountId);
+        sendResponse({
+          accountId,
+          configured:   Boolean(profile),
+          counts:       meta.cacheCounts             || null,
+          timestamp:    meta.companiesCacheTimestamp || null,
+          stale:        cacheNeedsRebuild(meta, profile, await CacheFreshness.load()),
+          // The cache's build scope for display, null when it covers every project
+          scope:        meta.scope ? BuildScope.describe(meta.scope) : null,
+          scopeChanged: Boolean(meta.companiesCacheTimestamp) && !BuildScope.equals(meta.scope, profile?.buildScope),
+        });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.LOOKUP_COMPANY) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        if (!meta.companiesCacheTimestamp) return sendResponse({ company: null });
+        const company = await CacheDB.getCompany(accountId, {
+          companyId: msg.companyId,
+          name:      msg.name,
+        });
+        sendResponse({ company });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.LOOKUP_PROJECT) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        if (!meta.companiesCacheTimestamp) return sendResponse({ project: null });
+        const project = await CacheDB.getProject(accountId, {
+          projectId: msg.projectId,
+          name:      msg.name,
+        });
+        sendResponse({ project });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.LOOKUP_USER) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        if (!meta.companiesCacheTimestamp) return sendResponse({ user: null });
+        const user = await CacheDB.getUser(accountId, {
+          userId: msg.userId,
+          email:  msg.email,
+          name:   msg.name,
+        });
+        sendResponse({ user });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_ALL_CACHES) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        if (!meta.companiesCacheTimestamp) return sendResponse({ caches: null });
+        const { companiesCache, projectsCache } = await CacheDB.readCaches(accountId);
+        sendResponse({
+          caches: {
+            companiesCache,
+            projectsCache,
+            usersCache: buildUsersCache(companiesCache, projectsCache),
+          },
+          timestamp: meta.companiesCacheTimestamp,
+          scope:     meta.scope ? BuildScope.describe(meta.scope) : null,
+        });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_CACHE_HISTORY) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => sendResponse({ entries: await CacheDB.readHistory(accountId) }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_WATCHLIST) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => sendResponse({ entries: await Watchlist.list(accountId) }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.SET_WATCHED) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        await Watchlist.setWatched(accountId, msg.entry, msg.watched);
+        sendResponse({ success: true });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (msg.type === MSG.GET_SEARCH_INDEX) {
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        if (!meta.companiesCacheTimestamp) return sendResponse({ index: null });
+        sendResponse({ index: await CacheDB.searchIndex(accountId) });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 
   if (msg.type === MSG.GET_CACHE) {
-    chrome.storage.local
-      .get(["companiesCache", "companiesCacheTimestamp"])
-      .then((data) =>
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        const caches = meta.companiesCacheTimestamp ? await CacheDB.readCaches(accountId) : null;
         sendResponse({
-          cache:     data.companiesCache          || null,
-          timestamp: data.companiesCacheTimestamp || null,
-          stale:     isCacheStale(data.companiesCacheTimestamp),
-        })
-      )
+          cache:     caches ? caches.companiesCache : null,
+          timestamp: meta.companiesCacheTimestamp || null,
+          stale:     cacheNeedsRebuild(meta, await Profiles.get(accountId), await CacheFreshness.load()),
+        });
+      })
       .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 
   if (msg.type === MSG.GET_PROJECTS_CACHE) {
-    chrome.storage.local
-      .get(["projectsCache", "projectsCacheTimestamp"])
-      .then((data) =>
+    resolveAccountId(msg.accountId)
+      .then(async (accountId) => {
+        const meta = await getCacheMeta(accountId);
+        const caches = meta.projectsCacheTimestamp ? await CacheDB.readCaches(accountId) : null;
         sendResponse({
-          cache:     data.projectsCache          || null,
-          timestamp: data.projectsCacheTimestamp || null,
-          stale:     isCacheStale(data.projectsCacheTimestamp),
-        })
-      )
+          cache:     caches ? caches.projectsCache : null,
+          timestamp: meta.projectsCacheTimestamp || null,
+          stale:     cacheNeedsRebuild(meta, await Profiles.get(accountId), await CacheFreshness.load()),
+        });
+      })
       .catch((err) => sendResponse({ error: err.message }));
     return true;
   }
 });
 
+// ── Keyboard Commands ──────────────────────────────────────────────────
+// Shortcuts are declared in manifest.json "commands" and can be changed at
+// chrome://extensions/shortcuts.
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== "open-palette" || !tab?.url?.startsWith("https://acc.autodesk.com/")) return;
+  chrome.tabs.sendMessage(tab.id, { type: MSG.OPEN_PALETTE }).catch(() =>
+    console.log("ACC Enhancer: reload the ACC page to use the command palette")
+  );
+});
+
 // ── Periodic Cache Refresh ─────────────────────────────────────────────
 
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.alarms.create(CACHE_ALARM_NAME, {
-    periodInMinutes: CACHE_REFRESH_INTERVAL_MIN,
-  });
+/**
+ * (Re)create the refresh alarm with the configured interval.
+ */
+async function scheduleCacheRefresh() {
+  const { refreshIntervalMinutes } = await CacheFreshness.load();
+  chrome.alarms.create(CACHE_ALARM_NAME, { periodInMinutes: refreshIntervalMinutes });
+}
+
+chrome.runtime.onInstalled.addListener(() => scheduleCacheRefresh());
+chrome.runtime.onStartup.addListener(() => scheduleCacheRefresh());
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.cacheFreshness) return;
+  const { oldValue, newValue } = changes.cacheFreshness;
+  if (oldValue?.refreshIntervalMinutes === newValue?.refreshIntervalMinutes) return;
+  scheduleCacheRefresh().catch((err) => console.error("ACC Enhancer: rescheduling cache refresh failed:", err));
 });
 
-chrome.runtime.onStartup.addListener(() => {
-  chrome.alarms.create(CACHE_ALARM_NAME, {
-    periodInMinutes: CACHE_REFRESH_INTERVAL_MIN,
+// The battery read in flight: concurrent callers share it, so only one of
+// them creates and closes the single offscreen document
+let batteryCheck = null;
+
+/**
+ * Whether the battery runs the machine, read through an offscreen document
+ * since service workers have no Battery Status API. False when unknown.
+ */
+function onBatteryPower() {
+  batteryCheck ||= readBatteryStatus().finally(() => {
+    batteryCheck = null;
   });
+  return batteryCheck;
+}
+
+async function readBatteryStatus() {
+  if (!(await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.createDocument({
+      url:           "offscreen.html",
+      reasons:       [chrome.offscreen.Reason.BATTERY_STATUS],
+      justification: "Skip automatic cache builds on battery power",
+    });
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MSG.GET_BATTERY_STATUS });
+    return Boolean(response && !response.error && !response.charging);
+  } finally {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+/**
+ * Why automatic builds must wait right now, or null when they may run:
+ * outside the rebuild window, or idle/on battery when those are skipped.
+ */
+async function autoBuildBlocker() {
+  const freshness = await CacheFreshness.load();
+  if (!CacheFreshness.inRebuildWindow(freshness)) {
+    const { start, end } = freshness.rebuildWindow;
+    return `outside the rebuild window (${start}–${end})`;
+  }
+  if (freshness.skipWhenIdle && (await chrome.idle.queryState(CACHE_IDLE_DETECTION_SEC)) !== "active") {
+    return "the computer is idle";
+  }
+  const onBattery = freshness.skipOnBattery && (await onBatteryPower().catch((err) => {
+    console.warn("ACC Enhancer: could not read the battery status:", err);
+    return false;
+  }));
+  if (onBattery) {
+    return "the computer is on battery power";
+  }
+  return null;
+}
+
+/**
+ * Rebuild every profile's stale cache, one account after another. With
+ * `notify`, each profile then raises notifications for its watched records,
+ * covering every build since the last notified one, however it was started.
+ */
+async function refreshStaleCaches({ notify = false } = {}) {
+  await storageMigration;
+  const freshness = await CacheFreshness.load();
+  const startedAt = Date.now();
+  for (const profile of await Profiles.list()) {
+    const meta = await getCacheMeta(profile.accountId);
+    if (cacheNeedsRebuild(meta, profile, freshness)) {
+      const blocker = await autoBuildBlocker();
+      if (blocker) {
+        console.log(`ACC Enhancer: postponed rebuild of "${profile.name}": ${blocker}`);
+        return;
+      }
+
+      console.log(`ACC Enhancer: alarm triggered, rebuilding stale cache for "${profile.name}"...`);
+      try {
+        await triggerCacheBuild({ accountId: profile.accountId });
+      } catch (err) {
+        if (err instanceof SecretVault.VaultLockedError) {
+          console.log(`ACC Enhancer: skipped rebuild for "${profile.name}" until the passphrase is entered`);
+        } else {
+          console.error(`ACC Enhancer: scheduled cache rebuild for "${profile.name}" failed:`, err);
+        }
+        continue;
+      }
+    }
+    if (notify) await notifyWatchedChanges(profile, startedAt);
+  }
+}
+
+// ── Watchlist Notifications ────────────────────────────────────────────
+// Notification IDs carry the dashboard query that shows the watched record,
+// so a click still works after the service worker was restarted.
+
+const WATCH_NOTIFICATION_PREFIX = "acc-watch?";
+
+/**
+ * Raise one notification per watched record changed by each history entry
+ * newer than the account's `watchNotifiedAt` (lib/watchlist.js
+ * notificationsFor()), then move that mark to the newest entry. Without a
+ * mark yet, only entries taken from `startedAt` on are reported.
+ */
+async function notifyWatchedChanges(profile, startedAt) {
+  try {
+    const { watchNotifiedAt } = await getCacheMeta(profile.accountId);
+    const notifiedAt = watchNotifiedAt ?? startedAt - 1;
+    const history = (await CacheDB.readHistory(profile.accountId))
+      .filter((entry) => entry.takenAt > notifiedAt)
+      .reverse();
+    if (!history.length) {
+      if (watchNotifiedAt === undefined) await updateCacheMeta(profile.accountId, { watchNotifiedAt: notifiedAt });
+      return;
+    }
+
+    // One notification per record (its ID would replace an earlier one),
+    // listing its changes build by build
+    const entries = await Watchlist.list(profile.accountId);
+    const changes = new Map();
+    for (const entry of history) {
+      if (!entry.diff) continue;
+      for (const change of Watchlist.notificationsFor(entry.diff, entries)) {
+        const key = `${change.type}:${change.uuid}`;
+        if (changes.has(key)) changes.get(key).message += `\n${change.message}`;
+        else changes.set(key, { ...change });
+      }
+    }
+    await updateCacheMeta(profile.accountId, { watchNotifiedAt: history[history.length - 1].takenAt });
+
+    for (const change of changes.values()) {
+      const query = new URLSearchParams({ account: profile.accountId, tab: change.type, filter: change.uuid });
+      chrome.notifications.create(WATCH_NOTIFICATION_PREFIX + query, {
+        type:           "basic",
+        iconUrl:        "images/GroupGSA_logo_black-h.png",
+        title:          change.title,
+        message:        change.message,
+        contextMessage: profile.name,
+      });
+    }
+  } catch (err) {
+    console.error(`ACC Enhancer: watchlist notifications for "${profile.name}" failed:`, err);
+  }
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+  const query = notificationId.slice(WATCH_NOTIFICATION_PREFIX.length);
+  chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?${query}`) });
+  chrome.notifications.clear(notificationId);
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CACHE_RESUME_ALARM_NAME) {
+    resumeInterruptedBuild().catch((err) =>
+      console.error("ACC Enhancer: resuming interrupted cache build failed:", err)
+    );
+    return;
+  }
   if (alarm.name !== CACHE_ALARM_NAME) return;
 
-  chrome.storage.local
-    .get(["apsClientId", "apsClientSecret", "companiesCacheTimestamp"])
-    .then((data) => {
-      if (!data.apsClientId || !data.apsClientSecret) return;
-      if (!isCacheStale(data.companiesCacheTimestamp)) return;
-
-      console.log("ACC Enhancer: alarm triggered, rebuilding stale cache...");
-      triggerCacheBuild().catch((err) =>
-        console.error("ACC Enhancer: scheduled cache rebuild failed:", err)
-      );
-    });
+  refreshStaleCaches({ notify: true }).catch((err) =>
+    console.error("ACC Enhancer: scheduled cache refresh failed:", err)
+  );
 });
 
-// Pre-fetch token whenever credentials change in Options/popup
+// Pre-fetch a profile's token whenever its credentials change in Options/popup,
+// and rebuild its cache when its region or build scope changes
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === "local" && (changes.apsClientId || changes.apsClientSecret)) {
-    get2LeggedToken().catch((err) =>
-      console.error("ACC Enhancer: failed to get token after config change:", err)
+  if (area !== "local" || !changes.profiles) return;
+
+  const before = changes.profiles.oldValue || {};
+  for (const [accountId, profile] of Object.entries(changes.profiles.newValue || {})) {
+    const previous = before[accountId];
+    if (previous && previous.region !== profile.region) {
+      triggerCacheBuild({ accountId }).catch((err) =>
+        console.error(`ACC Enhancer: cache rebuild for "${profile.name}" after region change failed:`, err)
+      );
+    } else if (previous && !BuildScope.equals(previous.buildScope, profile.buildScope)) {
+      triggerCacheBuild({ accountId }).catch((err) =>
+        console.error(`ACC Enhancer: cache rebuild for "${profile.name}" after scope change failed:`, err)
+      );
+    }
+    if (
+      previous?.clientId === profile.clientId &&
+      previous?.encryptedSecret?.data === profile.encryptedSecret?.data
+    ) continue;
+    if (!profile.encryptedSecret) continue; // not encrypted yet, or dropped by a passphrase reset
+
+    get2LeggedToken(accountId).catch((err) =>
+      console.error(`ACC Enhancer: failed to get token for "${profile.name}" after config change:`, err)
     );
   }
 });
+
+// Catch up on refreshes skipped while the client secrets were locked
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "session" || !changes.vaultKey?.newValue) return;
+
+  resumeInterruptedBuild()
+    .then(refreshStaleCaches)
+    .catch((err) => console.error("ACC Enhancer: cache refresh after unlock failed:", err));
+});
@@ -3,55 +3,188 @@
 // In-memory caches to avoid re-fetching on every company click
 let cachedUsers = null;
 let cachedProjects = null;
+// All account companies, for resolving company IDs to names
+let cachedCompanies = null;
 // Map of projectId -> [companyId, ...] for project-company associations
 let cachedProjectCompanyMap = null;
+// Build scope of the pre-built cache, described; null when it covers every project
+let cacheScope = null;
+// Account background.js resolved for this page, whose cache updates are followed
+let cacheAccountId = null;
 
-// Pre-built caches (from background.js cache builder)
-let companiesCache = null;
-let projectsCache = null;
+// ACC's own member panels (account admin and project admin)
+const MEMBER_PANEL_SELECTOR =
+  '[data-testid="AccountMemberProfilePanel"], [data-testid*="MemberProfilePanel"]';
 
-// ── Cache Loading ─────────────────────────────────────────────────────
+// ── Cache Status ──────────────────────────────────────────────────────
+// The pre-built caches live in the extension's IndexedDB and are queried one
+// record at a time through background.js (see lookupCompany/lookupProject),
+// so nothing is deserialized up front on page load.
 
 async function loadCompaniesCache() {
   try {
-    const { cache, stale } = await getCompaniesCache();
-    if (cache && Array.isArray(cache)) {
-      companiesCache = cache;
-      console.log(`ACC Enhancer: loaded cache with ${cache.length} companies (stale: ${stale})`);
+    const { accountId, configured, timestamp, counts, stale, scope } = await getCacheStatus();
+    cacheAccountId = accountId;
+    cacheScope = timestamp ? scope : null;
+    if (!configured) {
+      console.log(`ACC Enhancer: no profile for account ${accountId}, add one in Options.`);
+      return;
+    }
+    if (timestamp) {
+      console.log(
+        `ACC Enhancer: cache available with ${counts?.companies ?? "?"} companies,`,
+        `${counts?.projects ?? "?"} projects (stale: ${stale})`
+      );
       if (stale) {
         console.log("ACC Enhancer: cache is stale, triggering rebuild...");
-        triggerCacheBuild().catch((err) =>
+        triggerCacheBuild().then(logSkippedBuild, (err) =>
           console.warn("ACC Enhancer: background cache rebuild failed:", err)
         );
       }
     } else {
       console.log("ACC Enhancer: no cache available, triggering build...");
-      triggerCacheBuild().catch((err) =>
+      triggerCacheBuild().then(logSkippedBuild, (err) =>
         console.warn("ACC Enhancer: background cache build failed:", err)
       );
     }
   } catch (err) {
-    console.warn("ACC Enhancer: could not load cache:", err);
+    console.warn("ACC Enhancer: could not load cache status:", err);
   }
+}
+
+function logSkippedBuild(response) {
+  if (response?.skipped) console.log(`ACC Enhancer: cache build postponed: ${response.skipped}`);
+}
+
+const NOT_CACHED_PROJECT_NOTE = "This project is not cached and may be outside it; showing live data from ACC.";
 
-  // Load projects cache alongside companies cache
+/**
+ * Put a note at the top of `container` saying what the cache's build scope
+ * leaves out. Does nothing when the cache covers every project.
+ *
+ * @param {HTMLElement} container
+ * @param {string} text - shown after "Cache build scope: <scope>."
+ */
+function prependScopeNote(container, text) {
+  if (!cacheScope) return;
+  const note = document.createElement("div");
+  note.className = "acc-enhancer-scope-note";
+  note.textContent = `Cache build scope: ${cacheScope}. ${text}`;
+  container.prepend(note);
+}
+
+// ── Account Tracking ────────────────────────────────────────────────────
+// The in-memory caches above belong to one ACC account. ACC is a single-page
+// app, so navigating to another account drops them instead of mixing data.
+
+let activeAccountId;
+
+function syncActiveAccount() {
+  const accountId = currentAccountId();
+  if (accountId === activeAccountId) return;
+
+  activeAccountId = accountId;
+  cacheAccountId = null;
+  cacheScope = null;
+  cachedUsers = null;
+  cachedProjects = null;
+  cachedProjectCompanyMap = null;
+  cachedCompanies = null;
+  loadCompaniesCache();
+}
+
+// ── Live Cache Refresh ──────────────────────────────────────────────────
+// A finished build or import rewrites the account's `cacheMeta` entry in
+// chrome.storage.local. Open views that were rendered from the cache are
+// then rendered again from the new data and briefly flagged "Updated".
+
+// Container → async function re-rendering it; dropped once it leaves the page
+const liveViews = new Map();
+
+/**
+ * Re-render `container` with `render` whenever the cache is rebuilt while
+ * it is on the page.
+ *
+ * @param {HTMLElement} container
+ * @param {Function} render - async function()
+ */
+function trackLiveView(container, render) {
+  liveViews.set(container, render);
+}
+
+/**
+ * What identifies one version of an account's cache: builds and imports
+ * set a new timestamp, retries of failed projects only a new report.
+ */
+function cacheVersion(meta) {
+  return meta ? `${meta.companiesCacheTimestamp}:${meta.buildReport?.retriedAt || ""}` : "";
+}
+
+function markUpdated(container) {
+  container.querySelector(":scope > .acc-enhancer-updated")?.remove();
+  const badge = document.createElement("div");
+  badge.className = "acc-enhancer-updated";
+  badge.textContent = "Updated";
+  badge.addEventListener("animationend", () => badge.remove());
+  container.prepend(badge);
+}
+
+async function refreshLiveViews() {
+  // The API fallbacks' lists are as old as the page; fetch them again if needed
+  cachedUsers = null;
+  cachedProjects = null;
+  cachedProjectCompanyMap = null;
+  cachedCompanies = null;
   try {
-    const { cache } = await getProjectsCache();
-    if (cache && Array.isArray(cache)) {
-      projectsCache = cache;
-      console.log(`ACC Enhancer: loaded projects cache with ${cache.length} projects`);
-    }
+    const { timestamp, scope } = await getCacheStatus();
+    cacheScope = timestamp ? scope : null;
   } catch (err) {
-    console.warn("ACC Enhancer: could not load projects cache:", err);
+    console.warn("ACC Enhancer: could not load cache status:", err);
+  }
+
+  for (const [container, render] of liveViews) {
+    if (!container.isConnected) {
+      liveViews.delete(container);
+      continue;
+    }
+    // Collapsed sidebar lists render afresh when expanded again
+    if (container.style.display === "none") continue;
+    try {
+      await render();
+      markUpdated(container);
+    } catch (err) {
+      console.warn("ACC Enhancer: re-rendering after a cache update failed:", err);
+    }
+  }
+
+  if (palette?.index) {
+    const current = palette;
+    const index = await getSearchIndex().catch(() => null);
+    if (palette === current && index) {
+      current.index = index;
+      renderPaletteResults();
+    }
   }
 }
 
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.cacheMeta || !cacheAccountId) return;
+  const before = changes.cacheMeta.oldValue?.[cacheAccountId];
+  const after = changes.cacheMeta.newValue?.[cacheAccountId];
+  if (!after || cacheVersion(before) === cacheVersion(after)) return;
+
+  console.log("ACC Enhancer: cache updated, refreshing open lists and panels");
+  refreshLiveViews();
+});
+
 // ── MutationObserver Setup ──────────────────────────────────────────────
 
 function initObserver() {
   const observer = new MutationObserver(() => {
+    syncActiveAccount();
     tryEnhanceSidebar();
     tryEnhanceProjectsTable();
+    tryEnhanceMemberPanel();
   });
 
   observer.observe(document.body, {
@@ -59,18 +192,19 @@ function initObserver() {
     subtree: true,
   });
 
-  // Run once immediately in case the sidebar/table is already visible
+  // Run once immediately in case the sidebar/table/panel is already visible
   tryEnhanceSidebar();
   tryEnhanceProjectsTable();
+  tryEnhanceMemberPanel();
 }
 
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", () => {
-    loadCompaniesCache();
+    syncActiveAccount();
     initObserver();
   });
 } else {
-  loadCompaniesCache();
+  syncActiveAccount();
   initObserver();
 }
 
@@ -124,10 +258,10 @@ function tryEnhanceFallback() {
 function checkAndEnhance(el) {
   if (el.dataset?.accEnhanced) return false;
 
-  // Skip elements outside the Company Profile Panel (e.g. Member Profile Panel,
-  // Project Picker dropdown, navigation sidebar)
-  if (el.closest('[data-testid="AccountMemberProfilePanel"]') ||
-      el.closest('[data-testid*="MemberProfilePanel"]') ||
+  // Skip elements outside the Company Profile Panel (e.g. Project Picker
+  // dropdown, navigation sidebar). The Member Profile Panel has its own
+  // counts and is enhanced separately by tryEnhanceMemberPanel().
+  if (el.closest(MEMBER_PANEL_SELECTOR) ||
       el.closest('[data-testid*="ProjectPicker"]') ||
       el.closest('[data-testid*="TopNavigation"]')) {
     return false;
@@ -194,11 +328,11 @@ function enhanceCountElement(el, type, count) {
       listContainer.innerHTML =
         `<div class="acc-enhancer-loading">Company name: <b>${companyName}</b><br>Company ID: <b>${companyId || "NOT FOUND"}</b><br>Fetching ${type}...</div>`;
 
-      if (type === "members") {
-        await renderMembersList(listContainer, companyName, companyId);
-      } else {
-        await renderProjectsList(listContainer, companyName, companyId);
-      }
+      const render = type === "members"
+        ? () => renderMembersList(listContainer, companyName, companyId)
+        : () => renderProjectsList(listContainer, companyName, companyId);
+      trackLiveView(listContainer, render);
+      await render();
     } catch (err) {
       listContainer.innerHTML += `<div class="acc-enhancer-error">${err.message}</div>`;
       console.error("ACC Enhancer error:", err);
@@ -207,30 +341,48 @@ function enhanceCountElement(el, type, count) {
 }
 
 // ── Cache Lookup Helpers ────────────────────────────────────────────────
+// Each resolves to null when the entry is not cached or the lookup fails,
+// so callers can fall back to the live API.
 
 /**
  * Find a company entry in the pre-built cache by name (case-insensitive).
  */
-function findCachedCompany(companyName) {
-  if (!companiesCache || !companyName) return null;
-  const lower = companyName.toLowerCase();
-  return companiesCache.find((c) => (c.name || "").toLowerCase() === lower) || null;
+async function findCachedCompany(companyName) {
+  if (!companyName) return null;
+  return lookupCompany({ name: companyName }).catch(() => null);
 }
 
 /**
  * Find a company entry in the pre-built cache by uuid.
  */
-function findCachedCompanyById(companyId) {
-  if (!companiesCache || !companyId) return null;
-  return companiesCache.find((c) => c.uuid === companyId) || null;
+async function findCachedCompanyById(companyId) {
+  if (!companyId) return null;
+  return lookupCompany({ companyId }).catch(() => null);
 }
 
 /**
  * Find a project entry in the pre-built projects cache by uuid.
  */
-function findCachedProject(projectId) {
-  if (!projectsCache || !projectId) return null;
-  return projectsCache.find((p) => p.uuid === projectId) || null;
+async function findCachedProject(projectId) {
+  if (!projectId) return null;
+  return lookupProject({ projectId }).catch(() => null);
+}
+
+/**
+ * Find a project entry in the pre-built projects cache by name.
+ */
+async function findCachedProjectByName(projectName) {
+  if (!projectName) return null;
+  return lookupProject({ name: projectName }).catch(() => null);
+}
+
+/**
+ * Find a user in the pre-built users index by email, else by name.
+ */
+async function findCachedUser({ email, name }) {
+  if (email) return lookupUser({ email }).catch(() => null);
+  if (name) return lookupUser({ name }).catch(() => null);
+  return null;
 }
 
 // ── Company Identification ──────────────────────────────────────────────
@@ -281,7 +433,7 @@ async function findCompanyId(companyName) {
   if (!companyName) return null;
 
   // Try the pre-built cache first
-  const cached = findCachedCompany(companyName);
+  const cached = await findCachedCompany(companyName);
   if (cached) return cached.uuid;
 
   // Search companies by name via API
@@ -308,13 +460,81 @@ async function findCompanyId(companyName) {
   return null;
 }
 
+// ── Export ──────────────────────────────────────────────────────────────
+
+/**
+ * Add an "Export" button next to a list's copy button. It downloads the
+ * list through lib/exporters.js in the format, columns and email-only mode
+ * chosen on the options page.
+ *
+ * @param {HTMLElement} header   - the list's .acc-enhancer-header
+ * @param {string}      table    - Exporters.TABLES key
+ * @param {Function}    getRows  - () => rows for that table
+ * @param {string}      baseName - file name without date and extension
+ */
+function addExportButton(header, table, getRows, baseName) {
+  const exportBtn = document.createElement("button");
+  exportBtn.className = "acc-enhancer-copy-btn";
+  exportBtn.textContent = "Export";
+  exportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const date = new Date().toISOString().slice(0, 10);
+    Exporters.exportTables([{ table, rows: getRows() }], `${baseName}-${date}`).catch((err) =>
+      console.error("ACC Enhancer: export failed:", err)
+    );
+  });
+  header.appendChild(exportBtn);
+}
+
+// ── Watchlist ───────────────────────────────────────────────────────────
+
+/**
+ * Add a Watch toggle to a list or panel header. Scheduled builds raise a
+ * desktop notification when a watched record's memberships change.
+ *
+ * @param {HTMLElement} header
+ * @param {{type: string, uuid: string, name: string}} entry - see setWatched()
+ */
+function addWatchButton(header, entry) {
+  const watchBtn = document.createElement("button");
+  watchBtn.className = "acc-enhancer-copy-btn acc-enhancer-watch-btn";
+  let watched = false;
+
+  const show = () => {
+    watchBtn.textContent = watched ? "★ Watching" : "☆ Watch";
+    watchBtn.title = watched
+      ? "Click to stop notifications for this record"
+      : "Notify me when a scheduled build finds membership changes";
+    watchBtn.classList.toggle("acc-enhancer-watching", watched);
+  };
+  show();
+
+  getWatchlist()
+    .then((entries) => {
+      watched = entries.some((e) => e.type === entry.type && e.uuid === entry.uuid);
+      show();
+    })
+    .catch(() => {}); // no profile for this account: the click reports it
+
+  watchBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    setWatched(entry, !watched)
+      .then(() => {
+        watched = !watched;
+        show();
+      })
+      .catch((err) => console.error("ACC Enhancer: watchlist update failed:", err));
+  });
+  header.appendChild(watchBtn);
+}
+
 // ── Rendering ───────────────────────────────────────────────────────────
 
 async function renderMembersList(container, companyName, companyId) {
   // Try pre-built cache first
-  const cachedCompany = findCachedCompanyById(companyId) || findCachedCompany(companyName);
+  const cachedCompany = (await findCachedCompanyById(companyId)) || (await findCachedCompany(companyName));
   if (cachedCompany && cachedCompany.users) {
-    renderMembersFromCache(container, cachedCompany.users);
+    renderMembersFromCache(container, cachedCompany.users, cachedCompany.name, cachedCompany.uuid);
     return;
   }
 
@@ -366,6 +586,20 @@ async function renderMembersList(container, companyName, companyId) {
     setTimeout(() => (copyBtn.textContent = "Copy emails"), 2000);
   });
   header.appendChild(copyBtn);
+  addExportButton(
+    header,
+    "users",
+    () =>
+      Exporters.userRows(
+        companyMembers.map((m) => ({
+          name: m.name || `${m.firstName || ""} ${m.lastName || ""}`.trim(),
+          email: m.email,
+        })),
+        companyName
+      ),
+    `${companyName || "company"}-members`
+  );
+  if (companyId) addWatchButton(header, { type: "companies", uuid: companyId, name: companyName });
 
   const list = document.createElement("ul");
   list.className = "acc-enhancer-items";
@@ -388,9 +622,10 @@ async function renderMembersList(container, companyName, companyId) {
 }
 
 /**
- * Render members list from pre-built cache data.
+ * Render members list from pre-built cache data. With `companyId` the
+ * header gets a Watch toggle for the company.
  */
-function renderMembersFromCache(container, users) {
+function renderMembersFromCache(container, users, companyName, companyId) {
   if (!users || users.length === 0) {
     container.innerHTML =
       '<div class="acc-enhancer-empty">No members found.</div>';
@@ -414,6 +649,8 @@ function renderMembersFromCache(container, users) {
     setTimeout(() => (copyBtn.textContent = "Copy emails"), 2000);
   });
   header.appendChild(copyBtn);
+  addExportButton(header, "users", () => Exporters.userRows(users, companyName), `${companyName || "company"}-members`);
+  if (companyId) addWatchButton(header, { type: "companies", uuid: companyId, name: companyName });
 
   const list = document.createElement("ul");
   list.className = "acc-enhancer-items";
@@ -434,9 +671,9 @@ function renderMembersFromCache(container, users) {
 
 async function renderProjectsList(container, companyName, companyId) {
   // Try pre-built cache first
-  const cachedCompany = findCachedCompanyById(companyId) || findCachedCompany(companyName);
+  const cachedCompany = (await findCachedCompanyById(companyId)) || (await findCachedCompany(companyName));
   if (cachedCompany && cachedCompany.projects) {
-    renderProjectsFromCache(container, cachedCompany.projects);
+    renderProjectsFromCache(container, cachedCompany.projects, cachedCompany.name, cachedCompany.uuid);
     return;
   }
 
@@ -511,6 +748,8 @@ async function renderProjectsList(container, companyName, companyId) {
     setTimeout(() => (copyBtn.textContent = "Copy names"), 2000);
   });
   header.appendChild(copyBtn);
+  addExportButton(header, "projects", () => Exporters.projectRows(companyProjects), `${companyName || "company"}-projects`);
+  if (companyId) addWatchButton(header, { type: "companies", uuid: companyId, name: companyName });
 
   const list = document.createElement("ul");
   list.className = "acc-enhancer-items";
@@ -530,8 +769,9 @@ async function renderProjectsList(container, companyName, companyId) {
 /**
  * Render projects list from pre-built cache data (includes members).
  * Splits into two sections: projects with members and projects without.
+ * With `companyId` the header gets a Watch toggle for the company.
  */
-function renderProjectsFromCache(container, projects) {
+function renderProjectsFromCache(container, projects, companyName, companyId) {
   if (!projects || projects.length === 0) {
     container.innerHTML =
       '<div class="acc-enhancer-empty">No projects found.</div>';
@@ -558,7 +798,10 @@ function renderProjectsFromCache(container, projects) {
     setTimeout(() => (copyBtn.textContent = "Copy names"), 2000);
   });
   totalHeader.appendChild(copyBtn);
+  addExportButton(totalHeader, "projects", () => Exporters.projectRows(projects), `${companyName || "company"}-projects`);
+  if (companyId) addWatchButton(totalHeader, { type: "companies", uuid: companyId, name: companyName });
   container.appendChild(totalHeader);
+  prependScopeNote(container, "Projects outside it are not listed.");
 
   // Section 1: Projects with members
   if (withMembers.length > 0) {
@@ -636,10 +879,421 @@ function renderProjectsFromCache(container, projects) {
   }
 }
 
-// ── Projects Table Enhancement ──────────────────────────────────────────
+// ── Member Profile Panel ────────────────────────────────────────────────
+// When a person is opened in ACC Admin (AccountMemberProfilePanel, or a
+// project's MemberProfilePanel), append their company and projects from the
+// users index, falling back to the API when the user is not cached.
 
-// In-memory cache for all companies (for resolving company IDs to names)
-let cachedCompanies = null;
+/**
+ * Read the displayed member's email (preferred) and name from the panel.
+ * Returns null while the panel has not rendered them yet.
+ */
+function extractMemberIdentity(panel) {
+  let email = null;
+  const walker = document.createTreeWalker(panel, NodeFilter.SHOW_TEXT);
+  while (!email && walker.nextNode()) {
+    if (walker.currentNode.parentElement?.closest(".acc-enhancer-member")) continue;
+    const text = walker.currentNode.textContent?.trim() || "";
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) email = text;
+  }
+
+  // Same inline-edit naming as CompanyProfilePanel_inlineEdit_name
+  const nameEl = panel.querySelector('[data-testid$="inlineEdit_name"]');
+  const name = nameEl?.textContent?.trim() || null;
+
+  if (!email && !name) return null;
+  return { email, name };
+}
+
+function tryEnhanceMemberPanel() {
+  const panel = document.querySelector(MEMBER_PANEL_SELECTOR);
+  if (!panel) return;
+
+  const identity = extractMemberIdentity(panel);
+  if (!identity) return;
+
+  // ACC reuses the panel when another member is opened; re-render then
+  const key = identity.email || identity.name;
+  if (panel.dataset.accMemberEnhanced === key && panel.querySelector(".acc-enhancer-member")) return;
+  panel.dataset.accMemberEnhanced = key;
+
+  panel.querySelector(".acc-enhancer-member")?.remove();
+  const container = document.createElement("div");
+  container.className = "acc-enhancer-list acc-enhancer-member";
+  container.innerHTML = '<div class="acc-enhancer-loading">Loading projects...</div>';
+  panel.appendChild(container);
+
+  trackLiveView(container, () => renderMemberPanel(container, identity));
+  renderMemberPanel(container, identity).catch((err) => {
+    container.innerHTML = `<div class="acc-enhancer-error">${err.message}</div>`;
+    console.error("ACC Enhancer member panel error:", err);
+  });
+}
+
+/**
+ * Build a usersCache-shaped entry for a user from the live API. The user's
+ * projects don't say which company they are on each one for, so that comes
+ * from each project's members; projects whose members can't be fetched are
+ * flagged `companyUnknown`.
+ */
+async function fetchMemberFromApi({ email, name }) {
+  if (!cachedUsers) {
+    cachedUsers = await fetchAllUsers();
+  }
+  const match = cachedUsers.find((u) =>
+    email
+      ? u.email?.toLowerCase() === email.toLowerCase()
+      : UsersAPI.displayUserName(u).toLowerCase() === name.toLowerCase()
+  );
+  if (!match) return null;
+
+  const projects = (await fetchUserProjects(match.id)).map((p) => ({
+    uuid:        p.id,
+    name:        p.name || "",
+    platform:    p.platform || "",
+    companyId:   "",
+    companyName: "",
+  }));
+
+  await Throttle.runPool(
+    projects,
+    async (project) => {
+      try {
+        const members = await fetchProjectMembers(project.uuid);
+        const member = members.find((m) =>
+          m.id === match.id || (match.email && m.email?.toLowerCase() === match.email.toLowerCase())
+        );
+        project.companyId = member?.companyId || "";
+        project.companyName = member?.companyName || "";
+      } catch (err) {
+        if (err instanceof ApsClient.ApsAuthError) throw err;
+        console.warn(`ACC Enhancer: could not fetch members of project ${project.uuid}:`, err);
+        project.companyUnknown = true;
+      }
+    },
+    { concurrency: CACHE_BUILD_CONCURRENCY }
+  );
+
+  // Members list company IDs without names; resolve the rest from the account
+  const unnamed = projects.filter((p) => p.companyId && !p.companyName);
+  if (unnamed.length > 0) {
+    if (!cachedCompanies) {
+      cachedCompanies = await fetchAllCompanies();
+    }
+    const companyMap = new Map(cachedCompanies.map((c) => [c.id, c.name]));
+    for (const p of unnamed) {
+      p.companyName = companyMap.get(p.companyId) || p.companyId;
+    }
+  }
+
+  return {
+    uuid:        match.id,
+    name:        UsersAPI.displayUserName(match),
+    email:       match.email || "",
+    companyId:   match.company_id || "",
+    companyName: match.company_name || "",
+    projects:    projects.sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+async function renderMemberPanel(container, identity) {
+  const cached = await findCachedUser(identity);
+  renderMemberProjects(container, cached || (await fetchMemberFromApi(identity)));
+  if (cached) prependScopeNote(container, "Projects outside it are not listed.");
+}
+
+/**
+ * Render a usersCache entry: the user's company, then their projects.
+ */
+function renderMemberProjects(container, user) {
+  if (!user) {
+    container.innerHTML =
+      '<div class="acc-enhancer-empty">Not found in this account.</div>';
+    return;
+  }
+
+  container.innerHTML = "";
+
+  const company = document.createElement("div");
+  company.className = "acc-enhancer-section-header";
+  company.textContent = user.companyName
+    ? `Company: ${user.companyName}`
+    : "Company: none";
+
+  const header = document.createElement("div");
+  header.className = "acc-enhancer-header";
+  header.textContent = `${user.projects.length} PROJECT(S)`;
+
+  const copyBtn = document.createElement("button");
+  copyBtn.className = "acc-enhancer-copy-btn";
+  copyBtn.textContent = "Copy names";
+  copyBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const names = user.projects.map((p) => p.name).filter(Boolean).join("\n");
+    navigator.clipboard.writeText(names);
+    copyBtn.textContent = "Copied!";
+    setTimeout(() => (copyBtn.textContent = "Copy names"), 2000);
+  });
+  header.appendChild(copyBtn);
+  addExportButton(
+    header,
+    "memberships",
+    () => Exporters.userMembershipRows(user),
+    `${user.email || user.name || "member"}-projects`
+  );
+  if (user.uuid) addWatchButton(header, { type: "users", uuid: user.uuid, name: user.name || user.email });
+
+  const list = document.createElement("ul");
+  list.className = "acc-enhancer-items";
+
+  for (const project of user.projects) {
+    const li = document.createElement("li");
+    li.className = "acc-enhancer-item";
+    const platform = project.platform ? ` [${project.platform}]` : "";
+    const onBehalfOf = project.companyUnknown
+      ? " — company unknown"
+      : project.companyName && project.companyName !== user.companyName
+        ? ` — as ${project.companyName}`
+        : "";
+    li.textContent = (project.name || project.uuid) + platform + onBehalfOf;
+    list.appendChild(li);
+  }
+
+  container.appendChild(company);
+  container.appendChild(header);
+  container.appendChild(list);
+}
+
+// ── Command Palette ─────────────────────────────────────────────────────
+// Opened with the "open-palette" command (Ctrl+Shift+K by default), which
+// background.js relays to the active ACC tab. Fuzzy-searches the cached
+// companies, projects and people; Enter opens the result in a slide-out
+// panel, Shift+Enter navigates to its ACC Admin page.
+
+const PALETTE_GROUPS = [
+  { type: "companies", label: "Companies", keys: ["name"] },
+  { type: "projects",  label: "Projects",  keys: ["name"] },
+  { type: "users",     label: "People",    keys: ["name", "email"] },
+];
+const PALETTE_LIMIT = 8; // results shown per group
+
+let palette = null; // { overlay, input, counts, list, index, items, selected }
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg.type === MSG.OPEN_PALETTE) openPalette();
+});
+
+async function openPalette() {
+  if (palette) {
+    palette.input.select();
+    return;
+  }
+
+  const overlay = document.createElement("div");
+  overlay.className = "acc-enhancer-palette-overlay";
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) closePalette();
+  });
+
+  const box = document.createElement("div");
+  box.className = "acc-enhancer-palette";
+
+  const input = document.createElement("input");
+  input.className = "acc-enhancer-palette-input";
+  input.type = "text";
+  input.placeholder = "Search companies, projects and people...";
+
+  const counts = document.createElement("div");
+  counts.className = "acc-enhancer-palette-counts";
+  counts.textContent = "Loading cache...";
+
+  const list = document.createElement("ul");
+  list.className = "acc-enhancer-palette-results";
+
+  box.appendChild(input);
+  box.appendChild(counts);
+  box.appendChild(list);
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+  input.focus();
+
+  palette = { overlay, input, counts, list, index: null, items: [], selected: 0 };
+
+  input.addEventListener("input", renderPaletteResults);
+  input.addEventListener("keydown", (e) => {
+    // Keep ACC's own shortcuts from reacting while typing
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      closePalette();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const count = palette.items.length;
+      if (count) selectPaletteItem((palette.selected + step + count) % count);
+    } else if (e.key === "Enter" && palette.items.length) {
+      e.preventDefault();
+      activatePaletteItem(palette.items[palette.selected], e.shiftKey);
+    }
+  });
+
+  const current = palette;
+  try {
+    current.index = await getSearchIndex();
+  } catch (err) {
+    counts.textContent = `Could not load the cache: ${err.message}`;
+    return;
+  }
+  if (palette !== current) return; // closed while loading
+
+  if (!current.index) {
+    counts.textContent = "No cache yet. Build it from the extension popup.";
+    return;
+  }
+  renderPaletteResults();
+}
+
+function closePalette() {
+  palette?.overlay.remove();
+  palette = null;
+}
+
+function describePaletteResult(type, record) {
+  if (type === "companies") {
+    return `${record.userCount} members · ${record.projectCount} projects`;
+  }
+  if (type === "projects") {
+    return [record.platform, `${record.memberCount} members`, `${record.companyCount} companies`]
+      .filter(Boolean)
+      .join(" · ");
+  }
+  return [record.email, record.companyName, `${record.projectCount} projects`].filter(Boolean).join(" · ");
+}
+
+function renderPaletteResults() {
+  const { index, input, counts, list } = palette;
+  if (!index) return;
+
+  list.innerHTML = "";
+  palette.items = [];
+  palette.selected = 0;
+
+  const query = input.value.trim();
+  if (!query) {
+    counts.textContent =
+      `${index.companies.length} companies · ${index.projects.length} projects · ` +
+      `${index.users.length} people cached`;
+    return;
+  }
+
+  const summary = [];
+  for (const group of PALETTE_GROUPS) {
+    const { total, results } = FuzzySearch.search(index[group.type], query, {
+      keys: group.keys,
+      limit: PALETTE_LIMIT,
+    });
+    summary.push(`${total} ${group.label.toLowerCase()}`);
+    if (results.length === 0) continue;
+
+    const heading = document.createElement("li");
+    heading.className = "acc-enhancer-palette-group";
+    heading.textContent =
+      total > results.length ? `${group.label} (top ${results.length} of ${total})` : `${group.label} (${total})`;
+    list.appendChild(heading);
+
+    for (const record of results) {
+      const item = { type: group.type, record, el: document.createElement("li") };
+      const position = palette.items.length;
+      item.el.className = "acc-enhancer-palette-item";
+
+      const name = document.createElement("div");
+      name.className = "acc-enhancer-palette-name";
+      name.textContent = record.name || record.email || record.uuid;
+      const detail = document.createElement("div");
+      detail.className = "acc-enhancer-palette-detail";
+      detail.textContent = describePaletteResult(group.type, record);
+      item.el.appendChild(name);
+      item.el.appendChild(detail);
+
+      item.el.addEventListener("mousemove", () => selectPaletteItem(position));
+      item.el.addEventListener("click", (e) => activatePaletteItem(item, e.shiftKey));
+      palette.items.push(item);
+      list.appendChild(item.el);
+    }
+  }
+
+  counts.textContent = summary.join(" · ") + (palette.items.length ? " — Shift+Enter opens in ACC Admin" : "");
+  if (palette.items.length === 0) {
+    list.innerHTML = '<li class="acc-enhancer-empty">No matches.</li>';
+    return;
+  }
+  selectPaletteItem(0);
+}
+
+function selectPaletteItem(position) {
+  palette.items[palette.selected]?.el.classList.remove("acc-enhancer-palette-selected");
+  palette.selected = position;
+  const { el } = palette.items[position];
+  el.classList.add("acc-enhancer-palette-selected");
+  el.scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * URL of a record's ACC Admin page, built from the current page's account
+ * segment (ACC_ADMIN_PATHS); null when this page has none.
+ */
+function accAdminUrl(type, id) {
+  const base = window.location.href.match(/^.*?\/accounts\/[0-9a-f-]{36}/i)?.[0];
+  return base ? base + ACC_ADMIN_PATHS[type].replace("{id}", id) : null;
+}
+
+function activatePaletteItem({ type, record }, navigate) {
+  closePalette();
+
+  const url = navigate ? accAdminUrl(type, record.uuid) : null;
+  if (url) {
+    window.location.assign(url);
+    return;
+  }
+
+  const title = record.name || record.email || record.uuid;
+  if (type === "companies") {
+    showProjectPanel(title, "Company", record.uuid, renderCompanyPanel, "companies");
+  } else if (type === "projects") {
+    showProjectPanel(title, "Members", record.uuid, renderProjectMembersPanel, "projects");
+  } else {
+    showProjectPanel(title, "Member", record.uuid, renderUserPanel);
+  }
+}
+
+/**
+ * Render a cached company's members and projects into a slide-out panel.
+ */
+async function renderCompanyPanel(body, companyId) {
+  const company = await findCachedCompanyById(companyId);
+  if (!company) {
+    body.innerHTML = '<div class="acc-enhancer-empty">Company not found in the cache.</div>';
+    return;
+  }
+
+  const members = document.createElement("div");
+  const projects = document.createElement("div");
+  projects.className = "acc-enhancer-section";
+  body.innerHTML = "";
+  body.appendChild(members);
+  body.appendChild(projects);
+  renderMembersFromCache(members, company.users, company.name);
+  renderProjectsFromCache(projects, company.projects, company.name);
+}
+
+/**
+ * Render a cached user's company and projects into a slide-out panel.
+ */
+async function renderUserPanel(body, userId) {
+  renderMemberProjects(body, await lookupUser({ userId }).catch(() => null));
+  prependScopeNote(body, "Projects outside it are not listed.");
+}
+
+// ── Projects Table Enhancement ──────────────────────────────────────────
 
 /**
  * Detect the Projects table and make member/company count cells clickable.
@@ -709,9 +1363,9 @@ function enhanceProjectCell(row, cell, type, allCells) {
     }
 
     if (type === "members") {
-      showProjectPanel(projectName, "Members", projectId, renderProjectMembersPanel);
+      showProjectPanel(projectName, "Members", projectId, renderProjectMembersPanel, "projects");
     } else {
-      showProjectPanel(projectName, "Companies", projectId, renderProjectCompaniesPanel);
+      showProjectPanel(projectName, "Companies", projectId, renderProjectCompaniesPanel, "projects");
     }
   });
 }
@@ -720,21 +1374,9 @@ function enhanceProjectCell(row, cell, type, allCells) {
  * Resolve a project name to its project ID using the cache or API.
  */
 async function resolveProjectId(projectName) {
-  // Try the projects cache first (O(1) by name scan)
-  if (projectsCache) {
-    const cached = projectsCache.find((p) => p.name === projectName);
-    if (cached) return cached.uuid;
-  }
-
-  // Try the companies cache (projects nested inside companies)
-  if (companiesCache) {
-    for (const company of companiesCache) {
-      if (!company.projects) continue;
-      for (const project of company.projects) {
-        if (project.name === projectName) return project.uuid;
-      }
-    }
-  }
+  // Try the projects cache first (indexed by name)
+  const cached = await findCachedProjectByName(projectName);
+  if (cached) return cached.uuid;
 
   // Fall back to fetching all projects
   if (!cachedProjects) {
@@ -768,8 +1410,10 @@ function closeProjectPanel() {
  * @param {string} label - "Members" or "Companies"
  * @param {string} projectId
  * @param {Function} renderFn - async function(bodyEl, projectId)
+ * @param {string} [watchType] - watchlist type of the record ("projects" or
+ *   "companies"); adds a Watch toggle to the header
  */
-function showProjectPanel(projectName, label, projectId, renderFn) {
+function showProjectPanel(projectName, label, projectId, renderFn, watchType) {
   // Close any existing panel first
   if (activePanel) {
     activePanel.remove();
@@ -814,6 +1458,7 @@ function showProjectPanel(projectName, label, projectId, renderFn) {
   closeBtn.addEventListener("click", closeProjectPanel);
 
   header.appendChild(titleWrap);
+  if (watchType) addWatchButton(header, { type: watchType, uuid: projectId, name: projectName });
   header.appendChild(closeBtn);
 
   // Body
@@ -832,6 +1477,7 @@ function showProjectPanel(projectName, label, projectId, renderFn) {
   });
 
   // Render content
+  trackLiveView(body, () => renderFn(body, projectId));
   renderFn(body, projectId).catch((err) => {
     body.innerHTML = `<div class="acc-enhancer-error">${err.message}</div>`;
     console.error("ACC Enhancer panel error:", err);
@@ -842,35 +1488,13 @@ function showProjectPanel(projectName, label, projectId, renderFn) {
  * Render project members into the panel body.
  */
 async function renderProjectMembersPanel(body, projectId) {
-  // Try projects cache first (O(1) lookup)
+  // Try projects cache first (indexed lookup)
   let members = null;
-  const cachedProject = findCachedProject(projectId);
+  const cachedProject = await findCachedProject(projectId);
   if (cachedProject && cachedProject.members && cachedProject.members.length > 0) {
     members = cachedProject.members;
   }
 
-  // Fall back to companies cache — collect all members for this project across companies
-  if (!members && companiesCache) {
-    members = [];
-    const seen = new Set();
-    for (const company of companiesCache) {
-      if (!company.projects) continue;
-      for (const project of company.projects) {
-        if (project.uuid === projectId && project.members) {
-          for (const m of project.members) {
-            const key = m.uuid || m.email;
-            if (!seen.has(key)) {
-              seen.add(key);
-              members.push(m);
-            }
-          }
-        }
-      }
-    }
-    // If cache had no members for this project, fall back to API
-    if (members.length === 0) members = null;
-  }
-
   if (!members) {
     body.innerHTML = '<div class="acc-enhancer-loading">Fetching members...</div>';
     const raw = await fetchProjectMembers(projectId);
@@ -883,6 +1507,7 @@ async function renderProjectMembersPanel(body, projectId) {
 
   if (members.length === 0) {
     body.innerHTML = '<div class="acc-enhancer-empty">No members found.</div>';
+    if (!cachedProject) prependScopeNote(body, NOT_CACHED_PROJECT_NOTE);
     return;
   }
 
@@ -905,6 +1530,7 @@ async function renderProjectMembersPanel(body, projectId) {
     setTimeout(() => (copyBtn.textContent = "Copy emails"), 2000);
   });
   header.appendChild(copyBtn);
+  addExportButton(header, "users", () => Exporters.userRows(members), "project-members");
 
   const list = document.createElement("ul");
   list.className = "acc-enhancer-items";
@@ -921,14 +1547,15 @@ async function renderProjectMembersPanel(body, projectId) {
 
   body.appendChild(header);
   body.appendChild(list);
+  if (!cachedProject) prependScopeNote(body, NOT_CACHED_PROJECT_NOTE);
 }
 
 /**
  * Render project companies into the panel body.
  */
 async function renderProjectCompaniesPanel(body, projectId) {
-  // Try projects cache first (O(1) lookup)
-  const cachedProject = findCachedProject(projectId);
+  // Try projects cache first (indexed lookup)
+  const cachedProject = await findCachedProject(projectId);
   if (cachedProject && cachedProject.companies && cachedProject.companies.length > 0) {
     const companies = cachedProject.companies.slice().sort(
       (a, b) => (a.name || "").localeCompare(b.name || "")
@@ -951,6 +1578,7 @@ async function renderProjectCompaniesPanel(body, projectId) {
       setTimeout(() => (copyBtn.textContent = "Copy names"), 2000);
     });
     header.appendChild(copyBtn);
+    addExportButton(header, "companies", () => Exporters.companyRows(companies), "project-companies");
 
     const list = document.createElement("ul");
     list.className = "acc-enhancer-items";
@@ -974,25 +1602,20 @@ async function renderProjectCompaniesPanel(body, projectId) {
 
   if (!rawCompanies || rawCompanies.length === 0) {
     body.innerHTML = '<div class="acc-enhancer-empty">No companies found.</div>';
+    if (!cachedProject) prependScopeNote(body, NOT_CACHED_PROJECT_NOTE);
     return;
   }
 
   // Resolve company names — rawCompanies may only have { id } from the fallback path
-  let companies = [];
-  for (const c of rawCompanies) {
-    if (c.name) {
-      companies.push({ name: c.name, id: c.id });
-      continue;
-    }
-    // Try to resolve name from companies cache
-    const cached = findCachedCompanyById(c.id);
-    if (cached) {
-      companies.push({ name: cached.name, id: c.id });
-      continue;
-    }
-    // Will resolve below via full companies fetch
-    companies.push({ name: null, id: c.id });
-  }
+  const companies = await Promise.all(
+    rawCompanies.map(async (c) => {
+      if (c.name) return { name: c.name, id: c.id };
+      // Try to resolve name from companies cache; unresolved ones are
+      // filled in below via a full companies fetch
+      const cached = await findCachedCompanyById(c.id);
+      return { name: cached ? cached.name : null, id: c.id };
+    })
+  );
 
   // If any companies still lack names, fetch all companies to resolve
   const unresolved = companies.filter((c) => !c.name);
@@ -1025,6 +1648,7 @@ async function renderProjectCompaniesPanel(body, projectId) {
     setTimeout(() => (copyBtn.textContent = "Copy names"), 2000);
   });
   header.appendChild(copyBtn);
+  addExportButton(header, "companies", () => Exporters.companyRows(companies), "project-companies");
 
   const list = document.createElement("ul");
   list.className = "acc-enhancer-items";
@@ -1038,4 +1662,5 @@ async function renderProjectCompaniesPanel(body, projectId) {
 
   body.appendChild(header);
   body.appendChild(list);
+  if (!cachedProject) prependScopeNote(body, NOT_CACHED_PROJECT_NOTE);
 }
@@ -0,0 +1,536 @@
+// dashboard.js - Full-page explorer of a profile's cached companies, projects and users
+//
+// URL parameters: ?account=<accountId> picks the profile; &tab=<tab> and
+// &filter=<text> open a data tab with its text filter set.
+//
+// Settings are stored in chrome.storage.local as
+//   dashboardSettings : { columns: { [tab]: [keys] },
+//                         savedFilters: [{ name, tab, text, scope, sort, accountId }] }
+// A filter's `scope` ({ tab, uuid, label }) limits its tab to the records
+// related to one record of another tab, as set by a drill-down; filters with
+// a scope only apply to the account they were saved for.
+
+document.addEventListener("DOMContentLoaded", () => {
+  const profileSelectEl = document.getElementById("profileSelect");
+  const reloadBtn = document.getElementById("reload");
+  const cacheInfoEl = document.getElementById("cacheInfo");
+  const statusEl = document.getElementById("status");
+  const filterTextEl = document.getElementById("filterText");
+  const scopeEl = document.getElementById("scope");
+  const scopeLabelEl = document.getElementById("scopeLabel");
+  const clearScopeBtn = document.getElementById("clearScope");
+  const savedFiltersEl = document.getElementById("savedFilters");
+  const saveFilterBtn = document.getElementById("saveFilter");
+  const deleteFilterBtn = document.getElementById("deleteFilter");
+  const columnChoicesEl = document.getElementById("columnChoices");
+
+  let accountId = null;
+  let caches = null;      // MSG.GET_ALL_CACHES caches, for the reports
+  let data = null;        // { companies, projects, users }: Map uuid → row
+  let activeTab = "companies";
+  let settings = { columns: {}, savedFilters: [] };
+  const filters = {
+    companies: { text: "", scope: null },
+    projects:  { text: "", scope: null },
+    users:     { text: "", scope: null },
+  };
+
+  // ── Rows ──────────────────────────────────────────────────────────────
+  // One flat row per record, with `related[tab]` holding the UUIDs of the
+  // records a drill-down into that tab shows.
+
+  function buildRows({ companiesCache, projectsCache, usersCache }) {
+    const uuids = (list) => new Set((list || []).map((r) => r.uuid));
+
+    const companies = new Map(companiesCache.map((c) => [c.uuid, {
+      uuid:         c.uuid,
+      name:         c.name,
+      memberCount:  c.users.length,
+      projectCount: c.projects.length,
+      related:      { users: uuids(c.users), projects: uuids(c.projects) },
+    }]));
+
+    const projects = new Map(projectsCache.map((p) => [p.uuid, {
+      uuid:         p.uuid,
+      name:         p.name,
+      platform:     p.platform || "",
+      status:       p.status || "",
+      updatedAt:    p.updatedAt || "",
+      memberCount:  p.members.length,
+      companyCount: p.companies.length,
+      related:      { users: uuids(p.members), companies: uuids(p.companies) },
+    }]));
+
+    const users = new Map(usersCache.map((u) => [u.uuid, {
+      uuid:         u.uuid,
+      name:         u.name,
+      email:        u.email,
+      companyName:  u.companyName,
+      projectCount: u.projects.length,
+      related:      {
+        projects:  uuids(u.projects),
+        companies: new Set([u.companyId, ...u.projects.map((p) => p.companyId)].filter(Boolean)),
+      },
+    }]));
+
+    return { companies, projects, users };
+  }
+
+  // ── Tables ────────────────────────────────────────────────────────────
+
+  /**
+   * A count that opens `toTab` scoped to this row's related records.
+   */
+  function drillLink(text, fromTab, row, toTab) {
+    if (!row.related[toTab]?.size) return String(text ?? "");
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = text;
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      filters[toTab] = { text: "", scope: { tab: fromTab, uuid: row.uuid, label: row.name || row.email } };
+      showTab(toTab);
+    });
+    return link;
+  }
+
+  const COLUMNS = {
+    companies: [
+      { key: "name",         label: "Company" },
+      { key: "uuid",         label: "Company ID", hidden: true },
+      { key: "memberCount",  label: "Members", numeric: true,
+        render: (row) => drillLink(row.memberCount, "companies", row, "users") },
+      { key: "projectCount", label: "Projects", numeric: true,
+        render: (row) => drillLink(row.projectCount, "companies", row, "projects") },
+    ],
+    projects: [
+      { key: "name",         label: "Project" },
+      { key: "uuid",         label: "Project ID", hidden: true },
+      { key: "platform",     label: "Platform" },
+      { key: "status",       label: "Status" },
+      { key: "updatedAt",    label: "Updated", hidden: true },
+      { key: "memberCount",  label: "Members", numeric: true,
+        render: (row) => drillLink(row.memberCount, "projects", row, "users") },
+      { key: "companyCount", label: "Companies", numeric: true,
+        render: (row) => drillLink(row.companyCount, "projects", row, "companies") },
+    ],
+    users: [
+      { key: "name",         label: "Name" },
+      { key: "email",        label: "Email" },
+      { key: "companyName",  label: "Company",
+        render: (row) => drillLink(row.companyName || "—", "users", row, "companies") },
+      { key: "projectCount", label: "Projects", numeric: true,
+        render: (row) => drillLink(row.projectCount, "users", row, "projects") },
+      { key: "uuid",         label: "User ID", hidden: true },
+    ],
+  };
+
+  const TAB_LABELS = { companies: "Company", projects: "Project", users: "User" };
+
+  /**
+   * A record's name that opens its tab filtered down to it.
+   */
+  function recordLink(text, tab, uuid) {
+    if (!data?.[tab].has(uuid)) return String(text ?? "");
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = text || uuid;
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      filters[tab] = { text: uuid, scope: null };
+      showTab(tab);
+    });
+    return link;
+  }
+
+  /**
+   * Report columns with their `ref` cells linked to the records.
+   */
+  function linkedColumns(columns) {
+    return columns.map((column) =>
+      column.ref
+        ? { ...column, render: (row) => recordLink(row[column.key], column.ref.tab, row[column.ref.idKey]) }
+        : column
+    );
+  }
+
+  const tables = {};
+  for (const tab of Object.keys(COLUMNS)) {
+    tables[tab] = DataTable.create(document.getElementById(`table-${tab}`), { columns: COLUMNS[tab] });
+  }
+
+  /**
+   * The active tab's rows after its scope and text filter.
+   */
+  function filteredRows(tab) {
+    let rows = [...data[tab].values()];
+
+    const { text, scope } = filters[tab];
+    if (scope) {
+      const related = data[scope.tab].get(scope.uuid)?.related[tab] || new Set();
+      rows = rows.filter((row) => related.has(row.uuid));
+    }
+
+    const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length) {
+      rows = rows.filter((row) => {
+        const haystack = COLUMNS[tab].map((c) => DataTable.valueOf(c, row)).join(" ").toLowerCase();
+        return terms.every((term) => haystack.includes(term));
+      });
+    }
+    return rows;
+  }
+
+  function refreshTable() {
+    const { text, scope } = filters[activeTab];
+    filterTextEl.value = text;
+    scopeEl.hidden = !scope;
+    if (scope) scopeLabelEl.textContent = `${TAB_LABELS[scope.tab]}: ${scope.label}`;
+    if (data) tables[activeTab].setRows(filteredRows(activeTab));
+  }
+
+  function showTab(tab) {
+    activeTab = tab;
+    for (const button of document.querySelectorAll("#tabs button")) {
+      button.classList.toggle("active", button.dataset.tab === tab);
+    }
+    for (const container of document.querySelectorAll("[data-table-for]")) {
+      container.hidden = container.dataset.tableFor !== tab;
+    }
+    for (const panel of document.querySelectorAll("[data-report-for]")) {
+      panel.hidden = panel.dataset.reportFor !== tab;
+    }
+
+    const report = REPORTS[tab];
+    document.getElementById("dataToolbar").hidden = Boolean(report);
+    if (report) {
+      report.render();
+      return;
+    }
+    renderColumnChoices();
+    renderSavedFilters();
+    refreshTable();
+  }
+
+  document.getElementById("tabs").addEventListener("click", (event) => {
+    const tab = event.target.dataset?.tab;
+    if (tab) showTab(tab);
+  });
+
+  filterTextEl.addEventListener("input", () => {
+    filters[activeTab].text = filterTextEl.value;
+    refreshTable();
+  });
+
+  clearScopeBtn.addEventListener("click", () => {
+    filters[activeTab].scope = null;
+    refreshTable();
+  });
+
+  // ── Reports ───────────────────────────────────────────────────────────
+  // Tabs computed from the whole cache rather than listing one record type.
+
+  const hygieneChecksEl = document.getElementById("hygieneChecks");
+  const hygieneTitleEl = document.getElementById("hygieneTitle");
+  const hygieneTableEl = document.getElementById("hygieneTable");
+  const exportHygieneBtn = document.getElementById("exportHygiene");
+  const exportHygieneAllBtn = document.getElementById("exportHygieneAll");
+  let hygieneResults = null;
+  let hygieneCheckId = HygieneReport.CHECKS[0].id;
+
+  function renderHygiene() {
+    exportHygieneBtn.disabled = exportHygieneAllBtn.disabled = !caches;
+    if (!caches) {
+      hygieneChecksEl.textContent = "";
+      hygieneTitleEl.textContent = "";
+      hygieneTableEl.textContent = "";
+      return;
+    }
+    hygieneResults ||= HygieneReport.analyze(caches);
+
+    hygieneChecksEl.textContent = "";
+    for (const check of hygieneResults) {
+      const item = document.createElement("li");
+      item.classList.toggle("selected", check.id === hygieneCheckId);
+
+      const count = document.createElement("a");
+      count.href = "#";
+      count.className = "count";
+      count.textContent = check.rows.length;
+      count.addEventListener("click", (event) => {
+        event.preventDefault();
+        hygieneCheckId = check.id;
+        renderHygiene();
+      });
+
+      const detail = document.createElement("span");
+      detail.className = "detail";
+      detail.textContent = ` — ${check.description}`;
+      item.append(count, check.label, detail);
+      hygieneChecksEl.appendChild(item);
+    }
+
+    const check = hygieneResults.find((c) => c.id === hygieneCheckId);
+    hygieneTitleEl.textContent = check.label;
+    DataTable.create(hygieneTableEl, { columns: linkedColumns(check.columns) }).setRows(check.rows);
+  }
+
+  exportHygieneBtn.addEventListener("click", () => {
+    const check = hygieneResults.find((c) => c.id === hygieneCheckId);
+    const date = new Date().toISOString().slice(0, 10);
+    Exporters.download(Exporters.toCsv(check), `acc-hygiene-${check.id}-${date}.csv`);
+  });
+
+  exportHygieneAllBtn.addEventListener("click", () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const sheets = hygieneResults.map((check) => ({ name: check.label, columns: check.columns, rows: check.rows }));
+    Exporters.download(Exporters.toXlsx(sheets), `acc-hygiene-${date}.xlsx`);
+  });
+
+  const duplicateClustersEl = document.getElementById("duplicateClusters");
+  const duplicateTablesEl = document.getElementById("duplicateTables");
+  const exportDuplicatesBtn = document.getElementById("exportDuplicates");
+  let duplicateClusters = null;
+  let duplicateIndex = 0;
+
+  const DUPLICATE_COLUMNS = {
+    companies: [
+      { key: "name",         label: "Company", ref: { tab: "companies", idKey: "uuid" } },
+      { key: "uuid",         label: "Company ID" },
+      { key: "userCount",    label: "Users", numeric: true },
+      { key: "projectCount", label: "Projects", numeric: true },
+    ],
+    members: [
+      { key: "name",        label: "Member", ref: { tab: "users", idKey: "uuid" } },
+      { key: "email",       label: "Email" },
+      { key: "companyName", label: "Company" },
+    ],
+    projects: [
+      { key: "name",     label: "Project", ref: { tab: "projects", idKey: "uuid" } },
+      { key: "platform", label: "Platform" },
+    ],
+  };
+
+  function renderDuplicates() {
+    exportDuplicatesBtn.disabled = !caches;
+    duplicateClustersEl.textContent = "";
+    duplicateTablesEl.textContent = "";
+    if (!caches) return;
+    duplicateClusters ||= DuplicateCompanies.findClusters(caches.companiesCache);
+    exportDuplicatesBtn.disabled = duplicateClusters.length === 0;
+
+    if (duplicateClusters.length === 0) {
+      duplicateClustersEl.textContent = "No likely duplicates found.";
+      return;
+    }
+    duplicateIndex = Math.min(duplicateIndex, duplicateClusters.length - 1);
+
+    duplicateClusters.forEach((cluster, index) => {
+      const item = document.createElement("li");
+      item.classList.toggle("selected", index === duplicateIndex);
+
+      const count = document.createElement("a");
+      count.href = "#";
+      count.className = "count";
+      count.textContent = cluster.companies.length;
+      count.addEventListener("click", (event) => {
+        event.preventDefault();
+        duplicateIndex = index;
+        renderDuplicates();
+      });
+
+      const detail = document.createElement("span");
+      detail.className = "detail";
+      detail.textContent = ` — ${cluster.reasons.join("; ")}`;
+      item.append(count, cluster.companies.map((c) => c.name).join(", "), detail);
+      duplicateClustersEl.appendChild(item);
+    });
+
+    const cluster = duplicateClusters[duplicateIndex];
+    for (const [key, title] of [["companies", "Companies"], ["members", "Combined members"], ["projects", "Combined projects"]]) {
+      const heading = document.createElement("h3");
+      heading.textContent = `${title} (${cluster[key].length})`;
+      const container = document.createElement("div");
+      duplicateTablesEl.append(heading, container);
+      DataTable.create(container, { columns: linkedColumns(DUPLICATE_COLUMNS[key]) }).setRows(cluster[key]);
+    }
+  }
+
+  exportDuplicatesBtn.addEventListener("click", () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const rows = duplicateClusters.flatMap((cluster, index) =>
+      cluster.companies.map((company) => ({ cluster: index + 1, ...company, reasons: cluster.reasons.join("; ") }))
+    );
+    const columns = [
+      { key: "cluster", label: "Cluster" },
+      ...DUPLICATE_COLUMNS.companies,
+      { key: "reasons", label: "Reasons" },
+    ];
+    Exporters.download(Exporters.toCsv({ columns, rows }), `acc-duplicate-companies-${date}.csv`);
+  });
+
+  const REPORTS = {
+    hygiene: { render: renderHygiene },
+    duplicates: { render: renderDuplicates },
+  };
+
+  // ── Settings: columns and saved filters ───────────────────────────────
+
+  function saveSettings() {
+    chrome.storage.local.set({ dashboardSettings: settings });
+  }
+
+  function renderColumnChoices() {
+    columnChoicesEl.textContent = "";
+    const shown = tables[activeTab].visibleColumns();
+    for (const column of COLUMNS[activeTab]) {
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = column.key;
+      box.checked = shown.includes(column.key);
+      const label = document.createElement("label");
+      label.className = "checkbox";
+      label.append(box, column.label);
+      columnChoicesEl.appendChild(label);
+    }
+  }
+
+  columnChoicesEl.addEventListener("change", () => {
+    const keys = [...columnChoicesEl.querySelectorAll("input:checked")].map((box) => box.value);
+    tables[activeTab].setVisibleColumns(keys);
+    settings.columns[activeTab] = keys;
+    saveSettings();
+  });
+
+  /**
+   * Saved filters usable on the active tab for this account.
+   */
+  function applicableFilters() {
+    return settings.savedFilters
+      .map((filter, index) => ({ filter, index }))
+      .filter(({ filter }) => filter.tab === activeTab && (!filter.scope || filter.accountId === accountId));
+  }
+
+  function renderSavedFilters() {
+    savedFiltersEl.textContent = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Saved filters...";
+    savedFiltersEl.appendChild(placeholder);
+    for (const { filter, index } of applicableFilters()) {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = filter.name;
+      savedFiltersEl.appendChild(option);
+    }
+    deleteFilterBtn.disabled = true;
+  }
+
+  savedFiltersEl.addEventListener("change", () => {
+    const filter = settings.savedFilters[savedFiltersEl.value];
+    deleteFilterBtn.disabled = !filter;
+    if (!filter) return;
+    filters[activeTab] = { text: filter.text || "", scope: filter.scope || null };
+    tables[activeTab].setSort(filter.sort);
+    refreshTable();
+  });
+
+  saveFilterBtn.addEventListener("click", () => {
+    const name = prompt("Name this filter:")?.trim();
+    if (!name) return;
+    const { text, scope } = filters[activeTab];
+    settings.savedFilters.push({ name, tab: activeTab, text, scope, sort: tables[activeTab].sort(), accountId });
+    saveSettings();
+    renderSavedFilters();
+    savedFiltersEl.value = String(settings.savedFilters.length - 1);
+    deleteFilterBtn.disabled = false;
+  });
+
+  deleteFilterBtn.addEventListener("click", () => {
+    const index = Number(savedFiltersEl.value);
+    if (!settings.savedFilters[index]) return;
+    settings.savedFilters.splice(index, 1);
+    saveSettings();
+    renderSavedFilters();
+  });
+
+  // ── Loading ───────────────────────────────────────────────────────────
+
+  function loadCaches() {
+    caches = null;
+    data = null;
+    hygieneResults = null;
+    duplicateClusters = null;
+    duplicateIndex = 0;
+    statusEl.textContent = "";
+    cacheInfoEl.textContent = "Loading...";
+    for (const tab of Object.keys(filters)) filters[tab] = { text: "", scope: null };
+
+    chrome.runtime.sendMessage({ type: MSG.GET_ALL_CACHES, accountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        cacheInfoEl.textContent = "";
+        statusEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      if (!response.caches) {
+        cacheInfoEl.textContent = "No cache built yet. Build it from the extension popup or options page.";
+        for (const table of Object.values(tables)) table.setRows([]);
+        showTab(activeTab);
+        return;
+      }
+
+      caches = response.caches;
+      data = buildRows(caches);
+      const built = new Date(response.timestamp);
+      cacheInfoEl.textContent =
+        `${data.companies.size} companies, ${data.projects.size} projects, ${data.users.size} users | ` +
+        `built ${built.toLocaleDateString()} ${built.toLocaleTimeString()}` +
+        (response.scope ? ` | Scope: ${response.scope}` : "");
+      for (const tab of Object.keys(tables)) tables[tab].setRows(filteredRows(tab));
+      showTab(activeTab);
+    });
+  }
+
+  profileSelectEl.addEventListener("change", () => {
+    accountId = profileSelectEl.value;
+    loadCaches();
+  });
+
+  reloadBtn.addEventListener("click", loadCaches);
+
+  showTab(activeTab);
+
+  (async () => {
+    const { dashboardSettings } = await chrome.storage.local.get(["dashboardSettings"]);
+    settings = { columns: {}, savedFilters: [], ...dashboardSettings };
+    for (const [tab, keys] of Object.entries(settings.columns)) tables[tab]?.setVisibleColumns(keys);
+    renderColumnChoices();
+    renderSavedFilters();
+
+    const profiles = await Profiles.list();
+    for (const profile of profiles) {
+      const option = document.createElement("option");
+      option.value = profile.accountId;
+      option.textContent = profile.name;
+      profileSelectEl.appendChild(option);
+    }
+    if (profiles.length === 0) {
+      cacheInfoEl.textContent = "Add a profile in the options page first.";
+      return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get("account");
+    accountId = profiles.some((p) => p.accountId === requested) ? requested : await Profiles.getActiveId();
+    profileSelectEl.value = accountId;
+    loadCaches();
+
+    // ?tab=<tab>&filter=<text> (watchlist notifications) opens a tab filtered
+    // down to one record; loadCaches() has already reset the filters
+    const tab = params.get("tab");
+    if (filters[tab]) {
+      activeTab = tab;
+      filters[tab].text = params.get("filter") || "";
+    }
+  })();
+});
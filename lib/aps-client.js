@@ -0,0 +1,241 @@
+// lib/aps-client.js - Shared HTTP client for APS REST calls
+//
+// Requires: lib/aps-constants.js (APS_BASE_URL, APS_REGIONS), lib/throttle.js (Throttle)
+//
+// Exposed as the global `ApsClient` namespace so it can be loaded in the
+// service worker (via importScripts), content scripts (via manifest) and the
+// page context (injected ahead of pageScript.js).
+//
+// Every request goes through Throttle.fetchWithRetry(), so 429 and 5xx
+// responses are retried before a typed error is raised. Callers branch on
+// the error class rather than parsing messages:
+//
+//   try { ... } catch (err) {
+//     if (err instanceof ApsClient.ApsForbiddenError) { ... }
+//   }
+
+const ApsClient = (() => {
+  // ── Typed errors ──────────────────────────────────────────────────────
+
+  /** Base class for every APS failure. `status` is 0 for network errors. */
+  class ApsError extends Error {
+    constructor(message, { status = 0, url = "", body = "" } = {}) {
+      super(message);
+      this.name   = "ApsError";
+      this.status = status;
+      this.url    = url;
+      this.body   = body;
+    }
+  }
+
+  /** 401 — token missing, expired, or rejected. */
+  class ApsAuthError extends ApsError {
+    constructor(message, details) { super(message, details); this.name = "ApsAuthError"; }
+  }
+
+  /** 403 — token valid but lacks access (scope, Custom Integration, project role). */
+  class ApsForbiddenError extends ApsError {
+    constructor(message, details) { super(message, details); this.name = "ApsForbiddenError"; }
+  }
+
+  /** 404 — unknown account/project, or endpoint unsupported for this resource. */
+  class ApsNotFoundError extends ApsError {
+    constructor(message, details) { super(message, details); this.name = "ApsNotFoundError"; }
+  }
+
+  /** 429 still returned after all retries. */
+  class ApsThrottledError extends ApsError {
+    constructor(message, details) { super(message, details); this.name = "ApsThrottledError"; }
+  }
+
+  /** 5xx still returned after all retries. */
+  class ApsServerError extends ApsError {
+    constructor(message, details) { super(message, details); this.name = "ApsServerError"; }
+  }
+
+  /**
+   * Map a failed HTTP status to the matching typed error.
+   */
+  function errorForStatus(status, label, url, body) {
+    const message = `API ${status} — ${label}: ${body}`;
+    const details = { status, url, body };
+    if (status === 401) return new ApsAuthError(message, details);
+    if (status === 403) return new ApsForbiddenError(message, details);
+    if (status === 404) return new ApsNotFoundError(message, details);
+    if (status === 429) return new ApsThrottledError(message, details);
+    if (status >= 500)  return new ApsServerError(message, details);
+    return new ApsError(message, details);
+  }
+
+  // ── Regions ───────────────────────────────────────────────────────────
+
+  /**
+   * Resolve a region key ("US", "EMEA", "AUS") to its APS_REGIONS entry,
+   * falling back to the default region for unknown or missing keys.
+   */
+  function regionInfo(region) {
+    return APS_REGIONS[region] || APS_REGIONS[APS_DEFAULT_REGION];
+  }
+
+  /**
+   * Build an HQ v1 URL routed to the region, e.g.
+   * hqUrl("EMEA", "/accounts/x/users") → ".../hq/v1/regions/eu/accounts/x/users".
+   *
+   * @param {string} region
+   * @param {string} path - path below /hq/v1, starting with "/"
+   * @returns {string}
+   */
+  function hqUrl(region, path) {
+    return `${APS_BASE_URL}/hq/v1${regionInfo(region).hqPath}${path}`;
+  }
+
+  /**
+   * Headers that route an admin v1 (construction/admin) or HQ v1 request to
+   * the region.
+   *
+   * @param {string} region
+   * @returns {object}
+   */
+  function regionHeaders(region) {
+    return { Region: regionInfo(region).header };
+  }
+
+  // ── Requests ──────────────────────────────────────────────────────────
+
+  /**
+   * Append query parameters to a URL, skipping null/undefined values.
+   *
+   * @param {string} url
+   * @param {object} params
+   * @returns {string}
+   */
+  function withQuery(url, params) {
+    const parsed = new URL(url);
+    for (const [key, value] of Object.entries(params || {})) {
+      if (value != null) parsed.searchParams.set(key, value);
+    }
+    return parsed.toString();
+  }
+
+  /**
+   * Perform an authenticated request and throw a typed error on failure.
+   *
+   * @param {string} token             - bearer token
+   * @param {string} url               - absolute APS URL
+   * @param {object} [options]
+   * @param {string} [options.label]   - short resource name used in error messages
+   * @param {string} [options.method]  - HTTP method (default GET)
+   * @param {object} [options.headers] - extra headers
+   * @param {any}    [options.body]    - request body
+   * @returns {Promise<Response>}
+   */
+  async function request(token, url, { label = "request", method = "GET", headers = {}, body } = {}) {
+    let resp;
+    try {
+      resp = await Throttle.fetchWithRetry(url, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, ...headers },
+        body,
+      });
+    } catch (err) {
+      throw new ApsError(`API network error — ${label}: ${err.message}`, { url });
+    }
+
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      throw errorForStatus(resp.status, label, url, text);
+    }
+    return resp;
+  }
+
+  /**
+   * GET a URL and parse the JSON body.
+   *
+   * @returns {Promise<any>}
+   */
+  async function getJson(token, url, options) {
+    const resp = await request(token, url, options);
+    return resp.json();
+  }
+
+  // ── Pagination ────────────────────────────────────────────────────────
+
+  /**
+   * Fetch every page of an HQ-style endpoint, where each page is a bare
+   * array and paging is driven by `limit` / `offset` query parameters.
+   *
+   * @param {string} token
+   * @param {string} url               - endpoint URL without limit/offset
+   * @param {object} [options]
+   * @param {number} [options.limit]   - page size (default 100)
+   * @param {string} [options.label]
+   * @param {object} [options.query]  - extra query parameters
+   * @param {object} [options.headers] - extra headers for every page
+   * @returns {Promise<object[]>}
+   */
+  async function paginateArray(token, url, { limit = 100, label, query, headers } = {}) {
+    const items = [];
+    let offset = 0;
+
+    while (true) {
+      const pageUrl = withQuery(url, { ...query, limit, offset });
+      const batch = await getJson(token, pageUrl, { label, headers });
+      if (!Array.isArray(batch) || batch.length === 0) break;
+      items.push(...batch);
+      if (batch.length < limit) break;
+      offset += limit;
+    }
+
+    return items;
+  }
+
+  /**
+   * Fetch every page of an admin-v1-style endpoint, where each page is an
+   * envelope `{ results: [], pagination: { totalResults, ... } }`.
+   *
+   * @param {string} token
+   * @param {string} url               - endpoint URL without limit/offset
+   * @param {object} [options]
+   * @param {number} [options.limit]   - page size (default 200)
+   * @param {string} [options.label]
+   * @param {object} [options.query]   - extra query parameters
+   * @param {object} [options.headers] - extra headers for every page
+   * @returns {Promise<object[]>}
+   */
+  async function paginateResults(token, url, { limit = 200, label, query, headers } = {}) {
+    const items = [];
+    let offset = 0;
+
+    while (true) {
+      const pageUrl = withQuery(url, { ...query, offset, limit });
+      const payload = await getJson(token, pageUrl, { label, headers });
+      const batch = Array.isArray(payload) ? payload : payload?.results;
+      if (!Array.isArray(batch) || batch.length === 0) break;
+      items.push(...batch);
+      offset += batch.length;
+      const total = payload?.pagination?.totalResults;
+      if (total != null && offset >= total) break;
+      if (batch.length < limit) break;
+    }
+
+    return items;
+  }
+
+  return {
+    ApsError,
+    ApsAuthError,
+    ApsForbiddenError,
+    ApsNotFoundError,
+    ApsThrottledError,
+    ApsServerError,
+    errorForStatus,
+    regionInfo,
+    hqUrl,
+    regionHeaders,
+    withQuery,
+    request,
+    getJson,
+    paginateArray,
+    paginateResults,
+  };
+})();
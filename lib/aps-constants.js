@@ -4,10 +4,45 @@
 const APS_BASE_URL = "https://developer.api.autodesk.com";
 const APS_TOKEN_URL = `${APS_BASE_URL}/authentication/v2/token`;
 
-// Cache configuration
+// Data-centre regions an ACC account can be hosted in. Requests select the
+// region with a `Region` header; HQ v1 documents a path segment only for EMEA
+// (/regions/eu), so only that one is added to HQ v1 URLs as well. The token
+// endpoint is global.
+const APS_REGIONS = Object.freeze({
+  US:   Object.freeze({ label: "United States",  hqPath: "",             header: "US" }),
+  EMEA: Object.freeze({ label: "Europe (EMEA)",  hqPath: "/regions/eu",  header: "EMEA" }),
+  AUS:  Object.freeze({ label: "Australia",      hqPath: "",             header: "AUS" }),
+});
+const APS_DEFAULT_REGION = "US";
+
+// The account of an ACC page, from its /accounts/<uuid> URL segment
+const ACC_ACCOUNT_URL_PATTERN = /\/accounts\/([a-f0-9-]{36})/i;
+
+// How content scripts authenticate API calls (chrome.storage.local `authMode`):
+// the profile's 2-legged credentials, or the user's own ACC session token
+// captured by pageScript.js (falling back to credentials until captured)
+const AUTH_MODE = Object.freeze({
+  CREDENTIALS: "credentials",
+  SESSION:     "session",
+});
+
+// ACC Admin pages the command palette opens, appended to the current page's
+// URL up to its /accounts/<uuid> segment; `{id}` is the record's UUID
+const ACC_ADMIN_PATHS = Object.freeze({
+  companies: "/companies/{id}",
+  projects:  "/projects/{id}",
+  users:     "/members/{id}",
+});
+
+// Cache configuration. Max age and refresh interval are the defaults of the
+// user-configurable freshness settings (lib/cache-freshness.js).
 const CACHE_MAX_AGE_MS = 2 * 60 * 60 * 1000; // 2 hours
 const CACHE_ALARM_NAME = "acc-enhancer-cache-refresh";
+const CACHE_RESUME_ALARM_NAME = "acc-enhancer-cache-resume"; // fires while a build is unfinished
 const CACHE_REFRESH_INTERVAL_MIN = 60; // 1 hour
+const CACHE_IDLE_DETECTION_SEC = 5 * 60; // no input for this long counts as idle
+const CACHE_BUILD_CONCURRENCY = 4;     // parallel project crawls (user-configurable)
+const CACHE_HISTORY_RETENTION = 20;    // build snapshots kept per account (user-configurable)
 
 // Message types for chrome.runtime.sendMessage — used by both
 // content scripts (api.js) and extension pages (popup.js, options.js)
@@ -17,4 +52,26 @@ const MSG = Object.freeze({
   GET_CACHE:          "ACC_ENHANCER_GET_CACHE",
   GET_PROJECTS_CACHE: "ACC_ENHANCER_GET_PROJECTS_CACHE",
   CACHE_PROGRESS:     "ACC_ENHANCER_CACHE_PROGRESS",
+  GET_CACHE_STATUS:   "ACC_ENHANCER_GET_CACHE_STATUS",
+  LOOKUP_COMPANY:     "ACC_ENHANCER_LOOKUP_COMPANY",
+  LOOKUP_PROJECT:     "ACC_ENHANCER_LOOKUP_PROJECT",
+  LOOKUP_USER:        "ACC_ENHANCER_LOOKUP_USER",
+  PAUSE_BUILD:        "ACC_ENHANCER_PAUSE_BUILD",
+  RESUME_BUILD:       "ACC_ENHANCER_RESUME_BUILD",
+  CANCEL_BUILD:       "ACC_ENHANCER_CANCEL_BUILD",
+  GET_BUILD_STATUS:   "ACC_ENHANCER_GET_BUILD_STATUS",
+  GET_BUILD_REPORT:   "ACC_ENHANCER_GET_BUILD_REPORT",
+  RETRY_FAILED:       "ACC_ENHANCER_RETRY_FAILED",
+  DELETE_PROFILE:     "ACC_ENHANCER_DELETE_PROFILE",
+  GET_AUTH_SOURCE:    "ACC_ENHANCER_GET_AUTH_SOURCE",
+  TEST_CONNECTION:    "ACC_ENHANCER_TEST_CONNECTION",
+  EXPORT_CACHE:       "ACC_ENHANCER_EXPORT_CACHE",
+  IMPORT_CACHE:       "ACC_ENHANCER_IMPORT_CACHE",
+  GET_SEARCH_INDEX:   "ACC_ENHANCER_GET_SEARCH_INDEX",
+  OPEN_PALETTE:       "ACC_ENHANCER_OPEN_PALETTE",
+  GET_ALL_CACHES:     "ACC_ENHANCER_GET_ALL_CACHES",
+  GET_CACHE_HISTORY:  "ACC_ENHANCER_GET_CACHE_HISTORY",
+  GET_WATCHLIST:      "ACC_ENHANCER_GET_WATCHLIST",
+  SET_WATCHED:        "ACC_ENHANCER_SET_WATCHED",
+  GET_BATTERY_STATUS: "ACC_ENHANCER_GET_BATTERY_STATUS",
 });
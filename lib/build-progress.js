@@ -0,0 +1,132 @@
+// lib/build-progress.js - Progress bar and pause/cancel controls for cache builds
+//
+// Requires: lib/aps-constants.js (MSG)
+//
+// Exposed as the global `BuildProgress` namespace. Used by the extension
+// pages (popup.js, options.js); renders the structured `progress` payload
+// that background.js attaches to MSG.CACHE_PROGRESS and MSG.GET_BUILD_STATUS.
+
+const BuildProgress = (() => {
+  const PHASE_LABELS = {
+    starting:    "Starting",
+    companies:   "Fetching companies",
+    users:       "Fetching users",
+    projects:    "Fetching projects",
+    mapping:     "Crawling projects",
+    assembling:  "Assembling caches",
+    paused:      "Paused",
+    interrupted: "Interrupted",
+    done:        "Done",
+    cancelled:   "Cancelled",
+    error:       "Failed",
+  };
+
+  const FINISHED_PHASES = new Set(["done", "cancelled", "error"]);
+
+  /**
+   * Format a duration as "1h 02m", "3m 05s" or "12s".
+   */
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const sec = totalSeconds % 60;
+    if (h) return `${h}h ${String(m).padStart(2, "0")}m`;
+    if (m) return `${m}m ${String(sec).padStart(2, "0")}s`;
+    return `${sec}s`;
+  }
+
+  /**
+   * One-line summary of a progress payload, e.g.
+   * "Contoso EU · Crawling projects 412/980 · 3 failed · 4m 12s elapsed · ~6m 40s left".
+   */
+  function describe(progress) {
+    const parts = [PHASE_LABELS[progress.paused ? "paused" : progress.phase] || progress.phase];
+    if (progress.total) parts[0] += ` ${progress.current}/${progress.total}`;
+    if (progress.failures) parts.push(`${progress.failures} failed`);
+    if (progress.elapsedMs) parts.push(`${formatDuration(progress.elapsedMs)} elapsed`);
+    if (progress.etaMs != null && !progress.paused && progress.phase === "mapping") {
+      parts.push(`~${formatDuration(progress.etaMs)} left`);
+    }
+    if (progress.resumedAt) {
+      parts.push(`resumed at project ${progress.resumedAt.project}/${progress.resumedAt.total}`);
+    }
+    if (progress.failedAt) {
+      parts.push("the next build resumes where this one stopped");
+    }
+    if (progress.profileName) parts.unshift(progress.profileName);
+    return parts.join(" · ");
+  }
+
+  /**
+   * Wire a progress block to background.js.
+   *
+   * @param {object}      els
+   * @param {HTMLElement} els.container - shown while a build is running/paused
+   * @param {HTMLProgressElement} els.bar
+   * @param {HTMLElement} els.stats     - receives describe() output
+   * @param {HTMLButtonElement} els.pauseBtn  - toggles Pause / Resume
+   * @param {HTMLButtonElement} els.cancelBtn
+   * @param {Function}    [onFinished]  - called with the final phase
+   * @returns {{render: Function}}
+   */
+  function attach({ container, bar, stats, pauseBtn, cancelBtn }, onFinished) {
+    let paused = false;
+
+    function render(progress) {
+      if (!progress) {
+        container.hidden = true;
+        return;
+      }
+      // A failed build's checkpoint stays visible so it can be cancelled (discarded)
+      container.hidden = FINISHED_PHASES.has(progress.phase) && !progress.failedAt;
+      paused = Boolean(progress.paused);
+
+      if (progress.total) {
+        bar.max = progress.total;
+        bar.value = progress.current || 0;
+      } else {
+        bar.removeAttribute("value"); // indeterminate
+      }
+
+      stats.textContent = describe(progress);
+      pauseBtn.textContent = paused ? "Resume" : "Pause";
+      pauseBtn.disabled = progress.phase === "error";
+    }
+
+    function send(type) {
+      pauseBtn.disabled = true;
+      cancelBtn.disabled = true;
+      chrome.runtime.sendMessage({ type }, (response) => {
+        pauseBtn.disabled = false;
+        cancelBtn.disabled = false;
+        if (chrome.runtime.lastError || response?.error) {
+          stats.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        } else {
+          refresh();
+        }
+      });
+    }
+
+    function refresh() {
+      chrome.runtime.sendMessage({ type: MSG.GET_BUILD_STATUS }, (response) => {
+        if (chrome.runtime.lastError || response?.error) return;
+        render(response.progress);
+      });
+    }
+
+    pauseBtn.addEventListener("click", () => send(paused ? MSG.RESUME_BUILD : MSG.PAUSE_BUILD));
+    cancelBtn.addEventListener("click", () => send(MSG.CANCEL_BUILD));
+
+    chrome.runtime.onMessage.addListener((msg) => {
+      if (msg.type !== MSG.CACHE_PROGRESS || !msg.progress) return;
+      render(msg.progress);
+      if (FINISHED_PHASES.has(msg.progress.phase) && onFinished) onFinished(msg.progress.phase);
+    });
+
+    refresh();
+    return { render };
+  }
+
+  return { formatDuration, describe, attach };
+})();
@@ -0,0 +1,137 @@
+// lib/build-scope.js - Which projects a profile's cache builds cover
+//
+// Requires: nothing
+//
+// Exposed as the global `BuildScope` namespace. Loaded by the service worker
+// (via importScripts) and the options page.
+//
+// A scope is stored on its profile as `buildScope` (lib/profiles.js) and
+// recorded in the cache metadata of every build made with it:
+//   { statuses: ["active"|"pending"|"archived"], platforms: ["acc"|"bim360"],
+//     types: string[], include: string[], exclude: string[] }
+// An empty filter list allows any value. `include` and `exclude` hold project
+// IDs or names (case-insensitive): included projects are built even when the
+// filters leave them out, excluded ones never are. null means every project.
+
+const BuildScope = (() => {
+  const STATUSES = Object.freeze(["active", "pending", "archived"]);
+  const PLATFORMS = Object.freeze({ acc: "ACC", bim360: "BIM 360" });
+
+  function cleanList(values, allowed) {
+    const seen = new Map(); // lower case → first spelling
+    for (const value of values || []) {
+      const text = String(value).trim();
+      const key = text.toLowerCase();
+      if (!text || seen.has(key) || (allowed && !allowed.includes(key))) continue;
+      seen.set(key, allowed ? key : text);
+    }
+    return [...seen.values()];
+  }
+
+  /**
+   * Drop unknown, duplicate and no-op values; null when nothing is left to
+   * filter.
+   *
+   * @param {object|null} [scope]
+   * @returns {object|null}
+   */
+  function normalize(scope) {
+    const normalized = {
+      statuses:  cleanList(scope?.statuses, STATUSES),
+      platforms: cleanList(scope?.platforms, Object.keys(PLATFORMS)),
+      types:     cleanList(scope?.types),
+      include:   cleanList(scope?.include),
+      exclude:   cleanList(scope?.exclude),
+    };
+    // Every status or every platform ticked filters nothing, and with no
+    // filters at all the include list has nothing to override
+    if (normalized.statuses.length === STATUSES.length) normalized.statuses = [];
+    if (normalized.platforms.length === Object.keys(PLATFORMS).length) normalized.platforms = [];
+    if (!normalized.statuses.length && !normalized.platforms.length && !normalized.types.length) {
+      normalized.include = [];
+    }
+    return Object.values(normalized).some((list) => list.length) ? normalized : null;
+  }
+
+  /**
+   * True when two scopes select the same projects.
+   *
+   * @param {object|null} a
+   * @param {object|null} b
+   */
+  function equals(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+  }
+
+  function listed(list, project) {
+    const keys = [project.id || project.uuid, project.name].filter(Boolean).map((k) => k.toLowerCase());
+    return list.some((entry) => keys.includes(entry.toLowerCase()));
+  }
+
+  function allows(list, value) {
+    return !list.length || list.some((entry) => entry.toLowerCase() === (value || "").toLowerCase());
+  }
+
+  /**
+   * True when a project is inside the scope. Takes admin v1 projects
+   * ({ id, name, status, platform, type }) and cached ones ({ uuid, ... }).
+   *
+   * @param {object} project
+   * @param {object|null} scope - normalize()d
+   */
+  function matches(project, scope) {
+    if (!scope) return true;
+    if (listed(scope.exclude, project)) return false;
+    if (listed(scope.include, project)) return true;
+    return allows(scope.statuses, project.status) &&
+      allows(scope.platforms, project.platform) &&
+      allows(scope.types, project.type);
+  }
+
+  /**
+   * Query parameters that let the projects endpoint do the filtering, or
+   * null when it can't: included projects may fall outside the filters.
+   *
+   * @param {object|null} scope - normalize()d
+   * @returns {object|null}
+   */
+  function apiFilters(scope) {
+    if (!scope || scope.include.length) return null;
+    const query = {};
+    if (scope.statuses.length)  query["filter[status]"]   = scope.statuses.join(",");
+    if (scope.platforms.length) query["filter[platform]"] = scope.platforms.join(",");
+    if (scope.types.length)     query["filter[type]"]     = scope.types.join(",");
+    return Object.keys(query).length ? query : null;
+  }
+
+  function either(values) {
+    return values.length > 1 ? `${values.slice(0, -1).join(", ")} or ${values[values.length - 1]}` : values[0];
+  }
+
+  /**
+   * One-line summary for the extension pages, e.g.
+   * "active ACC projects of type Office; 2 always included, 1 excluded".
+   *
+   * @param {object|null} scope
+   * @returns {string}
+   */
+  function describe(scope) {
+    const normalized = normalize(scope);
+    if (!normalized) return "all projects";
+
+    const { statuses, platforms, types, include, exclude } = normalized;
+    let text = [
+      statuses.length ? either(statuses) : "",
+      platforms.length ? either(platforms.map((p) => PLATFORMS[p])) : "",
+      statuses.length || platforms.length || types.length ? "projects" : "all projects",
+    ].filter(Boolean).join(" ");
+    if (types.length) text += ` of type ${either(types)}`;
+
+    const lists = [];
+    if (include.length) lists.push(`${include.length} always included`);
+    if (exclude.length) lists.push(`${exclude.length} excluded`);
+    return lists.length ? `${text}; ${lists.join(", ")}` : text;
+  }
+
+  return { STATUSES, PLATFORMS, normalize, equals, matches, apiFilters, describe };
+})();
@@ -2,50 +2,336 @@
 // mirrors acc/companies_project_users.py build_companies_projects_users_payload()
 //
 // Requires (in load order):
-//   lib/aps-constants.js  (CACHE_MAX_AGE_MS)
+//   lib/aps-constants.js  (CACHE_BUILD_CONCURRENCY)
+//   lib/throttle.js       (Throttle)
+//   lib/aps-client.js     (ApsClient)
 //   lib/users-api.js      (UsersAPI)
 //   lib/companies-api.js  (CompaniesAPI)
 //   lib/projects-api.js   (ProjectsAPI)
+//   lib/build-scope.js    (BuildScope)
 
 /**
- * Return true when the stored cache timestamp is missing or older than
- * CACHE_MAX_AGE_MS.
+ * Thrown out of buildCompaniesCache() when its control was cancelled.
+ */
+class BuildCancelledError extends Error {
+  constructor() {
+    super("Cache build cancelled.");
+    this.name = "BuildCancelledError";
+  }
+}
+
+/**
+ * Create a pause/cancel switch for one build. The builder awaits
+ * `check()` between steps and before each project crawl: it blocks while
+ * paused and throws BuildCancelledError once cancelled. Requests already in
+ * flight are allowed to finish.
+ *
+ * @returns {{pause: Function, resume: Function, cancel: Function, check: Function,
+ *            readonly paused: boolean, readonly cancelled: boolean}}
+ */
+function createBuildControl() {
+  let paused = false;
+  let cancelled = false;
+  let waiters = [];
+
+  function wake() {
+    for (const resolve of waiters) resolve();
+    waiters = [];
+  }
+
+  return {
+    get paused()    { return paused; },
+    get cancelled() { return cancelled; },
+    pause()  { paused = true; },
+    resume() { paused = false; wake(); },
+    cancel() { cancelled = true; wake(); },
+    async check() {
+      while (paused && !cancelled) {
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+      if (cancelled) throw new BuildCancelledError();
+    },
+  };
+}
+
+/**
+ * Parse an APS timestamp (ISO string) into epoch ms, or 0 when missing.
+ *
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function parseApsTimestamp(value) {
+  const ms = value ? Date.parse(value) : NaN;
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+/**
+ * Rebuild the intermediate crawl maps from a previously assembled projects
+ * cache, so an incremental build only has to re-crawl changed projects.
+ *
+ * @param {object[]} projectsCache - output of a previous buildCompaniesCache()
+ * @returns {{projectIdsByCompany: object, projectUsersCache: object}}
+ */
+function crawlResultsFromCache(projectsCache) {
+  const projectIdsByCompany = {}; // companyId → Set<projectId>
+  const projectUsersCache   = {}; // projectId → member[]
+
+  for (const project of projectsCache || []) {
+    if (!project.uuid) continue;
+    for (const comp of project.companies || []) {
+      if (comp.uuid) {
+        (projectIdsByCompany[comp.uuid] ||= new Set()).add(project.uuid);
+      }
+    }
+    // Same shape as the admin v1 project users endpoint returns
+    projectUsersCache[project.uuid] = (project.members || []).map((m) => ({
+      id:        m.uuid,
+      name:      m.name,
+      email:     m.email,
+      companyId: m.companyId,
+    }));
+  }
+
+  return { projectIdsByCompany, projectUsersCache };
+}
+
+/**
+ * Rebuild the account-level lists (companies, users, projects) from
+ * previously assembled caches, in the raw API shapes the builder expects.
+ * Used when retrying failed projects, which skips the account-level fetches.
+ *
+ * @param {{companiesCache: object[], projectsCache: object[]}} previous
+ * @returns {{companies: object[], users: object[], projects: object[]}}
+ */
+function listsFromCaches({ companiesCache, projectsCache }) {
+  const companies = [];
+  const users = [];
+  for (const comp of companiesCache || []) {
+    if (!comp.uuid) continue;
+    companies.push({ id: comp.uuid, name: comp.name });
+    for (const user of comp.users || []) {
+      users.push({ id: user.uuid, name: user.name, email: user.email, company_id: comp.uuid });
+    }
+  }
+
+  const projects = (projectsCache || [])
+    .filter((p) => p.uuid)
+    .map((p) => ({
+      id:        p.uuid,
+      name:      p.name,
+      platform:  p.platform,
+      status:    p.status,
+      type:      p.type,
+      updatedAt: p.updatedAt,
+    }));
+
+  return { companies, users, projects };
+}
+
+/**
+ * Classify a failed project crawl for the build report.
+ *
+ * @param {Error} err
+ * @returns {{outcome: string, status: number|null, message: string}}
+ */
+function crawlFailureOutcome(err) {
+  return {
+    outcome: err instanceof ApsClient.ApsForbiddenError ? "forbidden" : "error",
+    status:  err instanceof ApsClient.ApsError ? err.status : null,
+    message: (err.message || String(err)).slice(0, 300),
+  };
+}
+
+/**
+ * Decide which projects need re-crawling since the last build.
+ *
+ * A project is re-crawled when it is new, its updatedAt or status changed,
+ * or it references a user or company whose HQ record changed since `since`.
+ *
+ * Limitation: adding an existing account user to a project bumps neither
+ * the project's updatedAt nor the user's updated_at, and the account-level
+ * lists don't say who is on which project, so such an addition is only
+ * picked up once something else changes the project, or by a full rebuild.
+ *
+ * @param {object[]} projects      - fresh admin v1 project list
+ * @param {object[]} users         - fresh HQ account users
+ * @param {object[]} companies     - fresh HQ account companies
+ * @param {object[]} projectsCache - previous projects cache
+ * @param {number}   since         - epoch ms of the previous build
+ * @returns {Set<string>} project ids to re-crawl
+ */
+function selectChangedProjects(projects, users, companies, projectsCache, since) {
+  const previousById = {};
+  for (const p of projectsCache || []) {
+    if (p.uuid) previousById[p.uuid] = p;
+  }
+
+  const changedUserIds = new Set(
+    users.filter((u) => parseApsTimestamp(u.updated_at || u.updatedAt) > since).map((u) => u.id)
+  );
+  const changedCompanyIds = new Set(
+    companies.filter((c) => parseApsTimestamp(c.updated_at || c.updatedAt) > since).map((c) => c.id)
+  );
+
+  const changed = new Set();
+  for (const project of projects) {
+    if (!project.id) continue;
+    const prev = previousById[project.id];
+
+    if (!prev ||
+        parseApsTimestamp(project.updatedAt) > since ||
+        (prev.status !== undefined && prev.status !== (project.status || ""))) {
+      changed.add(project.id);
+      continue;
+    }
+
+    const touchesChangedUser = (prev.members || []).some(
+      (m) => changedUserIds.has(m.uuid) || changedCompanyIds.has(m.companyId)
+    );
+    const touchesChangedCompany = (prev.companies || []).some((c) => changedCompanyIds.has(c.uuid));
+    if (touchesChangedUser || touchesChangedCompany) changed.add(project.id);
+  }
+
+  return changed;
+}
+
+/**
+ * Derive the per-user view of the two caches: every account user and every
+ * project member, with their company and the projects they are on.
+ *
+ * Entries: { uuid, name, email, companyId, companyName,
+ *            projects: [{ uuid, name, platform, companyId, companyName }] }
+ * `companyId` is the user's account-level company ("" for project members
+ * who are not account users); each project carries the company the user is
+ * on that project for, which may differ.
  *
- * @param {number|null} timestamp - epoch ms, or null/undefined
- * @returns {boolean}
+ * @param {object[]} companiesCache
+ * @param {object[]} projectsCache
+ * @returns {object[]} sorted by name
  */
-function isCacheStale(timestamp) {
-  return !timestamp || Date.now() - timestamp > CACHE_MAX_AGE_MS;
+function buildUsersCache(companiesCache, projectsCache) {
+  const byName = (a, b) => (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase());
+  const companyNames = new Map(companiesCache.map((c) => [c.uuid, c.name]));
+  const usersById = new Map();
+
+  for (const company of companiesCache) {
+    for (const user of company.users || []) {
+      usersById.set(user.uuid, {
+        uuid:        user.uuid,
+        name:        user.name || "",
+        email:       user.email || "",
+        companyId:   company.uuid,
+        companyName: company.name || "",
+        projects:    [],
+      });
+    }
+  }
+
+  for (const project of projectsCache) {
+    for (const member of project.members || []) {
+      if (!usersById.has(member.uuid)) {
+        usersById.set(member.uuid, {
+          uuid:        member.uuid,
+          name:        member.name || "",
+          email:       member.email || "",
+          companyId:   "",
+          companyName: "",
+          projects:    [],
+        });
+      }
+      usersById.get(member.uuid).projects.push({
+        uuid:        project.uuid,
+        name:        project.name || "",
+        platform:    project.platform || "",
+        companyId:   member.companyId || "",
+        companyName: companyNames.get(member.companyId) || "",
+      });
+    }
+  }
+
+  const usersCache = [...usersById.values()];
+  for (const user of usersCache) user.projects.sort(byName);
+  return usersCache.sort(byName);
 }
 
 /**
- * Fetch all raw data and assemble two caches:
+ * Fetch all raw data and assemble the caches:
  *   - companiesCache : companies indexed with nested projects + users
  *   - projectsCache  : projects indexed with nested companies + members
+ *   - usersCache     : users with their company and projects (buildUsersCache)
+ *
+ * With `options.previous` and `options.since` set, the build is incremental:
+ * account-level lists are re-fetched (cheap), but only projects selected by
+ * selectChangedProjects() are re-crawled; all other project memberships are
+ * carried over from the previous caches before re-assembly.
+ *
+ * With `options.previous` and `options.retryProjectIds` set, nothing is
+ * fetched at account level: the lists are rebuilt from the previous caches
+ * and only the given projects are re-crawled and merged back in.
+ *
+ * Every crawled project gets an outcome in `stats.outcomes`:
+ *   { projectId, name, platform, outcome, status, message }
+ * where outcome is "ok", "empty" (no companies and no members), "forbidden"
+ * (403) or "error" (any other failure; status 0 for network errors).
  *
  * mirrors acc/companies_project_users.py build_companies_projects_users_payload()
  *
  * @param {string}   token      - valid 2-legged bearer token
  * @param {string}   accountId  - APS account UUID
- * @param {Function} onProgress - optional callback(step, detail)
- * @returns {Promise<{companiesCache: object[], projectsCache: object[]}>}
+ * @param {Function} onProgress - optional callback(step, detail, counts); during
+ *   the "mapping" step `counts` is { current, total, failures } over the
+ *   projects being crawled
+ * @param {object}   [options]
+ * @param {string}   [options.region] - APS data-centre region of the account (default US)
+ * @param {object|null} [options.scope] - BuildScope.normalize()d scope: only
+ *   matching projects are fetched, crawled and cached (default: every project)
+ * @param {{companiesCache: object[], projectsCache: object[]}} [options.previous] - caches to patch
+ * @param {number}   [options.since] - epoch ms the previous caches were built from
+ * @param {Set<string>} [options.recrawlProjectIds] - projects an incremental
+ *   build re-crawls even when unchanged (e.g. failures of the last build)
+ * @param {Set<string>} [options.retryProjectIds] - re-crawl only these projects
+ * @param {number}   [options.concurrency] - parallel project crawls (default CACHE_BUILD_CONCURRENCY)
+ * @param {object}   [options.checkpoint] - resume support:
+ *   `done` is a Map projectId → { companyIds, members, outcome } of projects already
+ *   crawled by an interrupted run (skipped here), `save(entry)` is awaited
+ *   after each newly crawled project, and optional `onResume(done, total)`
+ *   is awaited once when finished projects were restored.
+ * @param {object}   [options.control] - from createBuildControl(), to pause/cancel
+ * @returns {Promise<{companiesCache: object[], projectsCache: object[], usersCache: object[], stats: object}>}
  */
-async function buildCompaniesCache(token, accountId, onProgress) {
+async function buildCompaniesCache(token, accountId, onProgress, options = {}) {
   const notify = typeof onProgress === "function" ? onProgress : () => {};
+  const retry = Boolean(options.previous && options.retryProjectIds);
+  const incremental = !retry && Boolean(options.previous && options.since);
+  const control = options.control || createBuildControl();
+  const api = { region: options.region };
 
   // ── Step 1: Fetch top-level entities ────────────────────────────────
 
-  notify("companies", "Fetching companies...");
-  const companies = await CompaniesAPI.fetchAll(token, accountId);
-  notify("companies", `Found ${companies.length} companies.`);
-
-  notify("users", "Fetching account users...");
-  const users = await UsersAPI.fetchAll(token, accountId);
-  notify("users", `Found ${users.length} users.`);
-
-  notify("projects", "Fetching projects...");
-  const projects = await ProjectsAPI.fetchAll(token, accountId);
-  notify("projects", `Found ${projects.length} projects.`);
+  let companies;
+  let users;
+  let projects;
+
+  if (retry) {
+    ({ companies, users, projects } = listsFromCaches(options.previous));
+  } else {
+    await control.check();
+    notify("companies", "Fetching companies...");
+    companies = await CompaniesAPI.fetchAll(token, accountId, api);
+    notify("companies", `Found ${companies.length} companies.`);
+
+    await control.check();
+    notify("users", "Fetching account users...");
+    users = await UsersAPI.fetchAll(token, accountId, api);
+    notify("users", `Found ${users.length} users.`);
+
+    await control.check();
+    notify("projects", "Fetching projects...");
+    const scope = options.scope || null;
+    projects = (await ProjectsAPI.fetchAll(token, accountId, { ...api, filters: BuildScope.apiFilters(scope) }))
+      .filter((project) => BuildScope.matches(project, scope));
+    notify("projects", `Found ${projects.length} projects${scope ? " in the build scope" : ""}.`);
+  }
 
   // ── Step 2: Index lookups ───────────────────────────────────────────
 
@@ -73,28 +359,122 @@ async function buildCompaniesCache(token, accountId, onProgress) {
   // ── Step 3: Map companies → projects and cache project members ──────
   // mirrors acc/companies_project_users.py map_project_ids_by_company()
 
-  notify("mapping", "Mapping companies to projects...");
-  const projectIdsByCompany = {}; // companyId → Set<projectId>
-  const projectUsersCache   = {}; // projectId → member[]
+  let projectIdsByCompany = {}; // companyId → Set<projectId>
+  let projectUsersCache   = {}; // projectId → member[]
+  let projectsToCrawl     = projects.filter((p) => p.id);
+
+  if (retry) {
+    ({ projectIdsByCompany, projectUsersCache } = crawlResultsFromCache(options.previous.projectsCache));
+    projectsToCrawl = projectsToCrawl.filter((p) => options.retryProjectIds.has(p.id));
+    notify("mapping", `Retrying ${projectsToCrawl.length} failed projects...`);
+  } else if (incremental) {
+    ({ projectIdsByCompany, projectUsersCache } = crawlResultsFromCache(options.previous.projectsCache));
+    // Forget carried-over projects that left the account or the build scope
+    for (const pidSet of Object.values(projectIdsByCompany)) {
+      for (const projectId of pidSet) if (!projectsById[projectId]) pidSet.delete(projectId);
+    }
+    const changedIds = selectChangedProjects(
+      projects, users, companies, options.previous.projectsCache, options.since
+    );
+    for (const projectId of options.recrawlProjectIds || []) changedIds.add(projectId);
+    projectsToCrawl = projectsToCrawl.filter((p) => changedIds.has(p.id));
+    notify("mapping", `${projectsToCrawl.length} of ${projects.length} projects changed since last build.`);
+  } else {
+    notify("mapping", "Mapping companies to projects...");
+  }
 
-  for (let i = 0; i < projects.length; i++) {
-    const project = projects[i];
-    if (!project.id) continue;
+  // Replace any carried-over associations for a project with fresh results
+  function applyCrawl(projectId, companyIds, members) {
+    for (const pidSet of Object.values(projectIdsByCompany)) pidSet.delete(projectId);
+    for (const companyId of companyIds) {
+      (projectIdsByCompany[companyId] ||= new Set()).add(projectId);
+    }
+    projectUsersCache[projectId] = members;
+  }
 
-    notify("mapping", `[${i + 1}/${projects.length}] ${project.name || project.id}`);
+  const outcomes = [];
+  function recordOutcome(project, result) {
+    outcomes.push({
+      projectId: project.id,
+      name:      project.name     || "",
+      platform:  project.platform || "",
+      status:    null,
+      message:   "",
+      ...result,
+    });
+  }
 
-    const projectCompanies = await CompaniesAPI.fetchProjectCompanies(token, accountId, project.id);
-    for (const comp of projectCompanies) {
-      if (comp.id) {
-        (projectIdsByCompany[comp.id] ||= new Set()).add(project.id);
-      }
+  // Projects finished before an interrupted run are restored, not re-crawled
+  const checkpoint = options.checkpoint || null;
+  const totalToCrawl = projectsToCrawl.length;
+  if (checkpoint && checkpoint.done.size > 0) {
+    for (const project of projectsToCrawl) {
+      const entry = checkpoint.done.get(project.id);
+      if (!entry) continue;
+      applyCrawl(project.id, entry.companyIds, entry.members);
+      recordOutcome(project, { outcome: entry.outcome || "ok" });
     }
-
-    projectUsersCache[project.id] = await UsersAPI.fetchProjectUsers(token, project.id);
+    projectsToCrawl = projectsToCrawl.filter((p) => !checkpoint.done.has(p.id));
+    const resumed = totalToCrawl - projectsToCrawl.length;
+    notify("mapping", `Resumed at project ${resumed}/${totalToCrawl}`, {
+      current: resumed,
+      total:   totalToCrawl,
+      failures: 0,
+    });
+    if (checkpoint.onResume) await checkpoint.onResume(resumed, totalToCrawl);
   }
+  const resumedCount = totalToCrawl - projectsToCrawl.length;
+
+  let projectsFailed = 0;
+
+  await Throttle.runPool(
+    projectsToCrawl,
+    async (project) => {
+      await control.check();
+
+      let projectCompanies;
+      let projectUsers;
+      try {
+        projectCompanies = await CompaniesAPI.fetchProjectCompanies(token, accountId, project.id, api);
+        projectUsers     = await UsersAPI.fetchProjectUsers(token, project.id, api);
+      } catch (err) {
+        // A bad token fails every project — abort instead of caching nothing
+        if (err instanceof ApsClient.ApsAuthError) throw err;
+        // Otherwise keep whatever was carried over and move on
+        projectsFailed++;
+        recordOutcome(project, crawlFailureOutcome(err));
+        console.warn(`ACC Enhancer: crawl failed for project ${project.id}:`, err.message);
+        return;
+      }
+
+      const companyIds = projectCompanies.map((c) => c.id).filter(Boolean);
+      // Keep only the fields assembly needs, so checkpoints stay small
+      const members = projectUsers.map((pu) => ({
+        id:        pu.id,
+        name:      UsersAPI.displayUserName(pu),
+        email:     pu.email     || "",
+        companyId: pu.companyId || "",
+      }));
+
+      const outcome = companyIds.length === 0 && members.length === 0 ? "empty" : "ok";
+      applyCrawl(project.id, companyIds, members);
+      recordOutcome(project, { outcome });
+      if (checkpoint) await checkpoint.save({ projectId: project.id, companyIds, members, outcome });
+    },
+    {
+      concurrency: options.concurrency || CACHE_BUILD_CONCURRENCY,
+      onSettled: (project, _index, completed) =>
+        notify("mapping", `[${resumedCount + completed}/${totalToCrawl}] ${project.name || project.id}`, {
+          current:  resumedCount + completed,
+          total:    totalToCrawl,
+          failures: projectsFailed,
+        }),
+    }
+  );
 
   // ── Step 4: Assemble companies payload ──────────────────────────────
 
+  await control.check();
   notify("assembling", "Assembling companies cache...");
   const companiesResult = [];
 
@@ -166,9 +546,12 @@ async function buildCompaniesCache(token, accountId, onProgress) {
       .sort((a, b) => (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase()));
 
     projectsResult.push({
-      name:      project.name     || "",
+      name:      project.name      || "",
       uuid:      project.id,
-      platform:  project.platform || "",
+      platform:  project.platform  || "",
+      status:    project.status    || "",
+      type:      project.type      || "",
+      updatedAt: project.updatedAt || "",
       members,
       companies: projectCompanies,
     });
@@ -176,5 +559,93 @@ async function buildCompaniesCache(token, accountId, onProgress) {
 
   projectsResult.sort((a, b) => (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase()));
 
-  return { companiesCache: companiesResult, projectsCache: projectsResult };
+  return {
+    companiesCache: companiesResult,
+    projectsCache:  projectsResult,
+    usersCache:     buildUsersCache(companiesResult, projectsResult),
+    stats: {
+      mode:            retry ? "retry" : incremental ? "incremental" : "full",
+      projectsCrawled: outcomes.length,
+      projectsResumed: resumedCount,
+      projectsTotal:   projects.length,
+      projectsFailed,
+      outcomes,
+    },
+  };
+}
+
+// ── Build reports ─────────────────────────────────────────────────────
+
+const FAILED_OUTCOMES = new Set(["forbidden", "error"]);
+
+/**
+ * Summarise a build's per-project outcomes into a storable report. Only
+ * non-"ok" outcomes are kept individually; "ok" projects are just counted.
+ *
+ * @param {object} stats - `stats` returned by buildCompaniesCache()
+ * @param {object} run
+ * @param {string} run.accountId
+ * @param {number} run.startedAt - epoch ms
+ * @returns {{accountId: string, mode: string, startedAt: number, finishedAt: number,
+ *            projectsTotal: number, projectsCrawled: number,
+ *            summary: {ok: number, empty: number, forbidden: number, error: number},
+ *            issues: object[]}}
+ */
+function createBuildReport(stats, { accountId, startedAt }) {
+  const summary = { ok: 0, empty: 0, forbidden: 0, error: 0 };
+  const issues = [];
+  for (const entry of stats.outcomes) {
+    summary[entry.outcome]++;
+    if (entry.outcome !== "ok") issues.push(entry);
+  }
+  issues.sort((a, b) => (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase()));
+
+  return {
+    accountId,
+    mode:            stats.mode,
+    startedAt,
+    finishedAt:      Date.now(),
+    projectsTotal:   stats.projectsTotal,
+    projectsCrawled: stats.projectsCrawled,
+    summary,
+    issues,
+  };
+}
+
+/**
+ * Project ids the report lists as forbidden or errored.
+ *
+ * @param {object|null} report
+ * @returns {string[]}
+ */
+function failedProjectIds(report) {
+  return (report?.issues || [])
+    .filter((entry) => FAILED_OUTCOMES.has(entry.outcome))
+    .map((entry) => entry.projectId);
+}
+
+/**
+ * Fold the report of a "retry failed projects" run into the report of the
+ * build it retried: retried projects take their new outcome, everything
+ * else is unchanged.
+ *
+ * @param {object} base  - report of the original build
+ * @param {object} retry - report of the retry run
+ * @returns {object} the merged report
+ */
+function mergeBuildReports(base, retry) {
+  const summary = { ...base.summary };
+
+  // The retry re-crawled exactly the failures of `base`; move them to their new buckets
+  for (const entry of base.issues) {
+    if (FAILED_OUTCOMES.has(entry.outcome)) summary[entry.outcome]--;
+  }
+  for (const [outcome, count] of Object.entries(retry.summary)) summary[outcome] += count;
+
+  const issues = base.issues
+    .filter((entry) => !FAILED_OUTCOMES.has(entry.outcome))
+    .concat(retry.issues)
+    .sort((a, b) => (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase()));
+
+  return { ...base, summary, issues, retriedAt: retry.finishedAt };
 }
@@ -0,0 +1,103 @@
+// lib/cache-bundle.js - Versioned JSON bundles of an account's caches
+//
+// Requires: lib/aps-constants.js (APS_REGIONS, APS_DEFAULT_REGION)
+//
+// Exposed as the global `CacheBundle` namespace. background.js creates and
+// imports bundles (MSG.EXPORT_CACHE / MSG.IMPORT_CACHE); options.js validates
+// a file before asking to import it.
+//
+// A bundle holds both caches in the nested shape of CacheDB.readCaches():
+//   { format, schemaVersion, exportedAt, accountId, region, scope,
+//     companiesCacheTimestamp, projectsCacheTimestamp, cacheBuildStartedAt,
+//     companiesCache, projectsCache }
+// `scope` is the build scope of the caches (lib/build-scope.js); it is null,
+// or missing from bundles of older versions, when every project was built.
+// Bump SCHEMA_VERSION whenever that shape changes, and keep validate()
+// accepting older versions it can still read.
+
+const CacheBundle = (() => {
+  const FORMAT = "acc-supercharger-cache";
+  const SCHEMA_VERSION = 1;
+
+  /**
+   * Build a bundle from an account's caches and cache metadata.
+   *
+   * @param {object} options
+   * @param {string} options.accountId
+   * @param {object} options.meta   - the account's cache metadata (background.js getCacheMeta)
+   * @param {{companiesCache: object[], projectsCache: object[]}} options.caches
+   * @returns {object}
+   */
+  function create({ accountId, meta, caches }) {
+    return {
+      format:                  FORMAT,
+      schemaVersion:           SCHEMA_VERSION,
+      exportedAt:              Date.now(),
+      accountId,
+      region:                  meta.region || APS_DEFAULT_REGION,
+      scope:                   meta.scope || null,
+      companiesCacheTimestamp: meta.companiesCacheTimestamp,
+      projectsCacheTimestamp:  meta.projectsCacheTimestamp,
+      cacheBuildStartedAt:     meta.cacheBuildStartedAt || null,
+      companiesCache:          caches.companiesCache,
+      projectsCache:           caches.projectsCache,
+    };
+  }
+
+  function hasRecords(list, label) {
+    if (!Array.isArray(list)) throw new Error(`Invalid cache bundle: ${label} is missing.`);
+    const bad = list.findIndex((record) => typeof record?.uuid !== "string" || typeof record.name !== "string");
+    if (bad !== -1) throw new Error(`Invalid cache bundle: ${label}[${bad}] has no uuid or name.`);
+  }
+
+  /**
+   * Check that `bundle` is a cache bundle this version can import into the
+   * given profile. Throws an Error describing the first problem found.
+   *
+   * @param {object} bundle  - parsed JSON
+   * @param {object} target
+   * @param {string} target.accountId
+   * @param {string} [target.region] - the profile's region
+   * @returns {object} the bundle
+   */
+  function validate(bundle, { accountId, region }) {
+    if (bundle?.format !== FORMAT) throw new Error("This file is not an ACC Supercharger cache bundle.");
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(
+        `Cache bundle schema version ${bundle.schemaVersion} is not supported ` +
+        `(this version reads up to ${SCHEMA_VERSION}). Update the extension.`
+      );
+    }
+    if (String(bundle.accountId).toLowerCase() !== String(accountId).toLowerCase()) {
+      throw new Error(
+        `The bundle is for account ${bundle.accountId}, not this profile's account ${accountId}.`
+      );
+    }
+    const profileRegion = region || APS_DEFAULT_REGION;
+    if ((bundle.region || APS_DEFAULT_REGION) !== profileRegion) {
+      throw new Error(
+        `The bundle was built from the ${APS_REGIONS[bundle.region]?.label || bundle.region} region, ` +
+        `but this profile uses ${APS_REGIONS[profileRegion].label}.`
+      );
+    }
+    if (!Number.isFinite(bundle.companiesCacheTimestamp) || !Number.isFinite(bundle.projectsCacheTimestamp)) {
+      throw new Error("Invalid cache bundle: the cache timestamps are missing.");
+    }
+    hasRecords(bundle.companiesCache, "companiesCache");
+    hasRecords(bundle.projectsCache, "projectsCache");
+    return bundle;
+  }
+
+  /**
+   * Suggested download name, e.g. "acc-cache-<accountId>-2024-05-01.json".
+   *
+   * @param {object} bundle
+   * @returns {string}
+   */
+  function fileName(bundle) {
+    const date = new Date(bundle.exportedAt).toISOString().slice(0, 10);
+    return `acc-cache-${bundle.accountId}-${date}.json`;
+  }
+
+  return { SCHEMA_VERSION, create, validate, fileName };
+})();
@@ -0,0 +1,605 @@
+// lib/cache-db.js - IndexedDB storage for the companies/projects/users caches
+//
+// Requires: nothing
+//
+// Exposed as the global `CacheDB` namespace. Loaded by the service worker
+// (via importScripts) and extension pages only. Content scripts must NOT use
+// it: IndexedDB there belongs to the acc.autodesk.com origin, so content.js
+// goes through background.js messages (MSG.LOOKUP_*) instead.
+//
+// One database per account ("acc-supercharger-<accountId>"), normalized into:
+//   companies   { uuid, name, nameLower }
+//               indexes: nameLower
+//   projects    { uuid, name, nameLower, platform, status, type, updatedAt, companyIds[] }
+//               indexes: nameLower, companyIds (multiEntry)
+//   users       { uuid, name, nameLower, email, emailLower, companyId }
+//               indexes: nameLower, emailLower, companyId
+//               account users, plus project members who are not account
+//               users (companyId "")
+//   memberships { projectId, userId, companyId, name, email }
+//               key [projectId, userId]; indexes: projectId, userId, companyId
+//   checkpoint  { projectId, companyIds[], members[] }
+//               per-project crawl results of an unfinished build (v2)
+//   history     { takenAt, mode, snapshot, diff }
+//               lib/cache-history.js snapshot of each finished build and its
+//               diff against the previous one, oldest trimmed first (v3)
+//
+// readCaches() re-assembles the nested companiesCache/projectsCache shapes
+// produced by lib/cache-builder.js; getCompany()/getProject()/getUser()
+// assemble a single nested record through the indexes without loading
+// everything. searchIndex() is the flat name list the command palette
+// searches.
+
+const CacheDB = (() => {
+  const DB_PREFIX  = "acc-supercharger-";
+  const DB_VERSION = 3;
+  const STORES     = ["companies", "projects", "users", "memberships"];
+
+  const connections = new Map(); // accountId → Promise<IDBDatabase>
+
+  // ── IndexedDB plumbing ────────────────────────────────────────────────
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+    });
+  }
+
+  function upgrade(db, oldVersion) {
+    if (oldVersion < 1) createCacheStores(db);
+    if (oldVersion < 2) db.createObjectStore("checkpoint", { keyPath: "projectId" });
+    if (oldVersion < 3) db.createObjectStore("history", { keyPath: "takenAt" });
+  }
+
+  function createCacheStores(db) {
+    const companies = db.createObjectStore("companies", { keyPath: "uuid" });
+    companies.createIndex("nameLower", "nameLower");
+
+    const projects = db.createObjectStore("projects", { keyPath: "uuid" });
+    projects.createIndex("nameLower", "nameLower");
+    projects.createIndex("companyIds", "companyIds", { multiEntry: true });
+
+    const users = db.createObjectStore("users", { keyPath: "uuid" });
+    users.createIndex("nameLower", "nameLower");
+    users.createIndex("emailLower", "emailLower");
+    users.createIndex("companyId", "companyId");
+
+    const memberships = db.createObjectStore("memberships", { keyPath: ["projectId", "userId"] });
+    memberships.createIndex("projectId", "projectId");
+    memberships.createIndex("userId", "userId");
+    memberships.createIndex("companyId", "companyId");
+  }
+
+  /**
+   * Open (or create) the cache database for an account. Connections are reused.
+   *
+   * @param {string} accountId - APS account UUID
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open(accountId) {
+    if (!accountId) return Promise.reject(new Error("No account ID configured."));
+    if (connections.has(accountId)) return connections.get(accountId);
+
+    const pending = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_PREFIX + accountId, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          connections.delete(accountId);
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        connections.delete(accountId);
+        reject(request.error);
+      };
+    });
+
+    connections.set(accountId, pending);
+    return pending;
+  }
+
+  /**
+   * Delete an account's cache database entirely.
+   *
+   * @param {string} accountId
+   * @returns {Promise<void>}
+   */
+  async function deleteDatabase(accountId) {
+    const existing = connections.get(accountId);
+    if (existing) {
+      (await existing.catch(() => null))?.close();
+      connections.delete(accountId);
+    }
+    await requestToPromise(indexedDB.deleteDatabase(DB_PREFIX + accountId));
+  }
+
+  // ── Shape helpers ─────────────────────────────────────────────────────
+
+  function byName(a, b) {
+    return (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase());
+  }
+
+  function memberView(membership) {
+    return { name: membership.name, uuid: membership.userId, email: membership.email };
+  }
+
+  function userView(user) {
+    return { name: user.name, uuid: user.uuid, email: user.email };
+  }
+
+  /**
+   * Pick the record whose name matches exactly, falling back to the first
+   * case-insensitive match from the nameLower index.
+   */
+  function preferExactName(records, name) {
+    return records.find((r) => r.name === name) || records[0] || null;
+  }
+
+  // ── Writes ────────────────────────────────────────────────────────────
+
+  /**
+   * Replace an account's cache with the output of buildCompaniesCache(),
+   * normalizing it into the four stores in a single transaction.
+   *
+   * Without `usersCache` (lib/cache-builder.js buildUsersCache()) only the
+   * account users nested in companiesCache are stored as users.
+   *
+   * @param {string} accountId
+   * @param {{companiesCache: object[], projectsCache: object[], usersCache?: object[]}} caches
+   * @returns {Promise<{companies: number, projects: number, users: number}>}
+   */
+  async function writeCaches(accountId, { companiesCache, projectsCache, usersCache }) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readwrite");
+    const stores = Object.fromEntries(STORES.map((name) => [name, tx.objectStore(name)]));
+    for (const store of Object.values(stores)) store.clear();
+
+    const users = usersCache || companiesCache.flatMap((company) =>
+      (company.users || []).map((user) => ({ ...user, companyId: company.uuid }))
+    );
+
+    for (const company of companiesCache) {
+      stores.companies.put({
+        uuid:      company.uuid,
+        name:      company.name || "",
+        nameLower: (company.name || "").toLowerCase(),
+      });
+    }
+
+    for (const user of users) {
+      stores.users.put({
+        uuid:       user.uuid,
+        name:       user.name || "",
+        nameLower:  (user.name || "").toLowerCase(),
+        email:      user.email || "",
+        emailLower: (user.email || "").toLowerCase(),
+        companyId:  user.companyId || "",
+      });
+    }
+
+    for (const project of projectsCache) {
+      stores.projects.put({
+        uuid:       project.uuid,
+        name:       project.name || "",
+        nameLower:  (project.name || "").toLowerCase(),
+        platform:   project.platform || "",
+        status:     project.status || "",
+        type:       project.type || "",
+        updatedAt:  project.updatedAt || "",
+        companyIds: (project.companies || []).map((c) => c.uuid),
+      });
+      for (const member of project.members || []) {
+        stores.memberships.put({
+          projectId: project.uuid,
+          userId:    member.uuid,
+          companyId: member.companyId || "",
+          name:      member.name || "",
+          email:     member.email || "",
+        });
+      }
+    }
+
+    await transactionDone(tx);
+    return { companies: companiesCache.length, projects: projectsCache.length, users: users.length };
+  }
+
+  // ── Reads ─────────────────────────────────────────────────────────────
+
+  /**
+   * Re-assemble the full nested caches, in the same shape and order as
+   * lib/cache-builder.js buildCompaniesCache() returns them.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{companiesCache: object[], projectsCache: object[]}>}
+   */
+  async function readCaches(accountId) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+    const [companies, projects, users, memberships] = await Promise.all(
+      STORES.map((name) => requestToPromise(tx.objectStore(name).getAll()))
+    );
+
+    const companiesById = new Map(companies.map((c) => [c.uuid, c]));
+
+    const usersByCompany = {};
+    for (const user of users) (usersByCompany[user.companyId] ||= []).push(user);
+
+    const membershipsByProject = {};
+    for (const m of memberships) (membershipsByProject[m.projectId] ||= []).push(m);
+
+    const projectsByCompany = {};
+    for (const project of projects) {
+      for (const cid of project.companyIds) (projectsByCompany[cid] ||= []).push(project);
+    }
+
+    const companiesCache = companies.map((company) => ({
+      name:     company.name,
+      uuid:     company.uuid,
+      projects: (projectsByCompany[company.uuid] || [])
+        .map((project) => ({
+          name:     project.name,
+          uuid:     project.uuid,
+          platform: project.platform,
+          members:  (membershipsByProject[project.uuid] || [])
+            .filter((m) => m.companyId === company.uuid)
+            .map(memberView)
+            .sort(byName),
+        }))
+        .sort(byName),
+      users: (usersByCompany[company.uuid] || []).map(userView).sort(byName),
+    })).sort(byName);
+
+    const projectsCache = projects.map((project) => ({
+      name:      project.name,
+      uuid:      project.uuid,
+      platform:  project.platform,
+      status:    project.status,
+      type:      project.type || "",
+      updatedAt: project.updatedAt,
+      members:   (membershipsByProject[project.uuid] || [])
+        .map((m) => ({ ...memberView(m), companyId: m.companyId }))
+        .sort(byName),
+      companies: project.companyIds
+        .map((cid) => ({ name: companiesById.get(cid)?.name || "", uuid: cid }))
+        .sort(byName),
+    })).sort(byName);
+
+    return { companiesCache, projectsCache };
+  }
+
+  /**
+   * Look up one company by id or (case-insensitive) name and return it in
+   * the nested companiesCache entry shape, or null when not cached.
+   *
+   * @param {string} accountId
+   * @param {object} query
+   * @param {string} [query.companyId]
+   * @param {string} [query.name]
+   * @returns {Promise<object|null>}
+   */
+  async function getCompany(accountId, { companyId, name }) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+
+    const company = companyId
+      ? await requestToPromise(tx.objectStore("companies").get(companyId))
+      : preferExactName(
+          name ? await requestToPromise(tx.objectStore("companies").index("nameLower").getAll(name.toLowerCase())) : [],
+          name
+        );
+    if (!company) return null;
+
+    const [users, projects, memberships] = await Promise.all([
+      requestToPromise(tx.objectStore("users").index("companyId").getAll(company.uuid)),
+      requestToPromise(tx.objectStore("projects").index("companyIds").getAll(company.uuid)),
+      requestToPromise(tx.objectStore("memberships").index("companyId").getAll(company.uuid)),
+    ]);
+
+    const membershipsByProject = {};
+    for (const m of memberships) (membershipsByProject[m.projectId] ||= []).push(m);
+
+    return {
+      name:     company.name,
+      uuid:     company.uuid,
+      projects: projects
+        .map((project) => ({
+          name:     project.name,
+          uuid:     project.uuid,
+          platform: project.platform,
+          members:  (membershipsByProject[project.uuid] || []).map(memberView).sort(byName),
+        }))
+        .sort(byName),
+      users: users.map(userView).sort(byName),
+    };
+  }
+
+  /**
+   * Look up one project by id or (case-insensitive) name and return it in
+   * the nested projectsCache entry shape, or null when not cached.
+   *
+   * @param {string} accountId
+   * @param {object} query
+   * @param {string} [query.projectId]
+   * @param {string} [query.name]
+   * @returns {Promise<object|null>}
+   */
+  async function getProject(accountId, { projectId, name }) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+
+    const project = projectId
+      ? await requestToPromise(tx.objectStore("projects").get(projectId))
+      : preferExactName(
+          name ? await requestToPromise(tx.objectStore("projects").index("nameLower").getAll(name.toLowerCase())) : [],
+          name
+        );
+    if (!project) return null;
+
+    const companiesStore = tx.objectStore("companies");
+    const [memberships, companies] = await Promise.all([
+      requestToPromise(tx.objectStore("memberships").index("projectId").getAll(project.uuid)),
+      Promise.all(project.companyIds.map((cid) => requestToPromise(companiesStore.get(cid)))),
+    ]);
+
+    return {
+      name:      project.name,
+      uuid:      project.uuid,
+      platform:  project.platform,
+      status:    project.status,
+      type:      project.type || "",
+      updatedAt: project.updatedAt,
+      members:   memberships.map((m) => ({ ...memberView(m), companyId: m.companyId })).sort(byName),
+      companies: project.companyIds
+        .map((cid, i) => ({ name: companies[i]?.name || "", uuid: cid }))
+        .sort(byName),
+    };
+  }
+
+  /**
+   * Look up one user by id, email or (case-insensitive) name and return it
+   * in the usersCache entry shape of lib/cache-builder.js buildUsersCache(),
+   * or null when not cached.
+   *
+   * @param {string} accountId
+   * @param {object} query
+   * @param {string} [query.userId]
+   * @param {string} [query.email]
+   * @param {string} [query.name]
+   * @returns {Promise<object|null>}
+   */
+  async function getUser(accountId, { userId, email, name }) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+    const usersStore = tx.objectStore("users");
+
+    let user = null;
+    if (userId) {
+      user = await requestToPromise(usersStore.get(userId));
+    } else if (email) {
+      user = (await requestToPromise(usersStore.index("emailLower").getAll(email.toLowerCase())))[0] || null;
+    } else if (name) {
+      user = preferExactName(await requestToPromise(usersStore.index("nameLower").getAll(name.toLowerCase())), name);
+    }
+    if (!user) return null;
+
+    const memberships = await requestToPromise(tx.objectStore("memberships").index("userId").getAll(user.uuid));
+    const projectsStore  = tx.objectStore("projects");
+    const companiesStore = tx.objectStore("companies");
+    const companyIds = [...new Set([user.companyId, ...memberships.map((m) => m.companyId)].filter(Boolean))];
+    const [projects, companies] = await Promise.all([
+      Promise.all(memberships.map((m) => requestToPromise(projectsStore.get(m.projectId)))),
+      Promise.all(companyIds.map((cid) => requestToPromise(companiesStore.get(cid)))),
+    ]);
+    const companyNames = new Map(companyIds.map((cid, i) => [cid, companies[i]?.name || ""]));
+
+    return {
+      uuid:        user.uuid,
+      name:        user.name,
+      email:       user.email,
+      companyId:   user.companyId,
+      companyName: companyNames.get(user.companyId) || "",
+      projects:    memberships
+        .map((m, i) => ({
+          uuid:        m.projectId,
+          name:        projects[i]?.name || "",
+          platform:    projects[i]?.platform || "",
+          companyId:   m.companyId,
+          companyName: companyNames.get(m.companyId) || "",
+        }))
+        .sort(byName),
+    };
+  }
+
+  /**
+   * Every company, project and user with just what the command palette shows:
+   * names and counts.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{companies: object[], projects: object[], users: object[]}>}
+   *   companies { uuid, name, userCount, projectCount }
+   *   projects  { uuid, name, platform, memberCount, companyCount }
+   *   users     { uuid, name, email, companyName, projectCount }
+   */
+  async function searchIndex(accountId) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+    const [companies, projects, users, memberships] = await Promise.all(
+      STORES.map((name) => requestToPromise(tx.objectStore(name).getAll()))
+    );
+
+    const tally = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const usersPerCompany    = new Map();
+    const projectsPerCompany = new Map();
+    const membersPerProject  = new Map();
+    const projectsPerUser    = new Map();
+    for (const user of users) tally(usersPerCompany, user.companyId);
+    for (const project of projects) project.companyIds.forEach((cid) => tally(projectsPerCompany, cid));
+    for (const m of memberships) {
+      tally(membersPerProject, m.projectId);
+      tally(projectsPerUser, m.userId);
+    }
+    const companyNames = new Map(companies.map((c) => [c.uuid, c.name]));
+
+    return {
+      companies: companies.map((c) => ({
+        uuid:         c.uuid,
+        name:         c.name,
+        userCount:    usersPerCompany.get(c.uuid) || 0,
+        projectCount: projectsPerCompany.get(c.uuid) || 0,
+      })),
+      projects: projects.map((p) => ({
+        uuid:         p.uuid,
+        name:         p.name,
+        platform:     p.platform,
+        memberCount:  membersPerProject.get(p.uuid) || 0,
+        companyCount: p.companyIds.length,
+      })),
+      users: users.map((u) => ({
+        uuid:         u.uuid,
+        name:         u.name,
+        email:        u.email,
+        companyName:  companyNames.get(u.companyId) || "",
+        projectCount: projectsPerUser.get(u.uuid) || 0,
+      })),
+    };
+  }
+
+  /**
+   * Count records per store.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{companies: number, projects: number, users: number, memberships: number}>}
+   */
+  async function counts(accountId) {
+    const db = await open(accountId);
+    const tx = db.transaction(STORES, "readonly");
+    const values = await Promise.all(
+      STORES.map((name) => requestToPromise(tx.objectStore(name).count()))
+    );
+    return Object.fromEntries(STORES.map((name, i) => [name, values[i]]));
+  }
+
+  // ── Build checkpoints ─────────────────────────────────────────────────
+  // Written after every crawled project so a build interrupted by service
+  // worker termination can resume without re-crawling finished projects.
+
+  /**
+   * Record one finished project's crawl results.
+   *
+   * @param {string} accountId
+   * @param {{projectId: string, companyIds: string[], members: object[]}} entry
+   * @returns {Promise<void>}
+   */
+  async function saveCheckpointEntry(accountId, entry) {
+    const db = await open(accountId);
+    const tx = db.transaction("checkpoint", "readwrite");
+    tx.objectStore("checkpoint").put(entry);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Read all checkpointed projects as a Map keyed by project id.
+   *
+   * @param {string} accountId
+   * @returns {Promise<Map<string, {companyIds: string[], members: object[]}>>}
+   */
+  async function readCheckpoint(accountId) {
+    const db = await open(accountId);
+    const entries = await requestToPromise(
+      db.transaction("checkpoint", "readonly").objectStore("checkpoint").getAll()
+    );
+    return new Map(entries.map((e) => [e.projectId, e]));
+  }
+
+  /**
+   * Discard all checkpointed projects.
+   *
+   * @param {string} accountId
+   * @returns {Promise<void>}
+   */
+  async function clearCheckpoint(accountId) {
+    const db = await open(accountId);
+    const tx = db.transaction("checkpoint", "readwrite");
+    tx.objectStore("checkpoint").clear();
+    await transactionDone(tx);
+  }
+
+  // ── Build history ─────────────────────────────────────────────────────
+
+  /**
+   * Store a build's snapshot and diff, then drop the oldest entries beyond
+   * `retention`.
+   *
+   * @param {string} accountId
+   * @param {{takenAt: number, mode: string, snapshot: object, diff: object|null}} entry
+   * @param {number} retention - entries to keep (at least 1)
+   * @returns {Promise<void>}
+   */
+  async function addHistoryEntry(accountId, entry, retention) {
+    const db = await open(accountId);
+    const tx = db.transaction("history", "readwrite");
+    const store = tx.objectStore("history");
+    store.put(entry);
+
+    const keys = await requestToPromise(store.getAllKeys());
+    for (const key of keys.slice(0, Math.max(0, keys.length - Math.max(1, retention)))) store.delete(key);
+    await transactionDone(tx);
+  }
+
+  /**
+   * The newest history entry, snapshot included, or null when there is none.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{takenAt: number, mode: string, snapshot: object, diff: object|null}|null>}
+   */
+  async function latestHistoryEntry(accountId) {
+    const db = await open(accountId);
+    const store = db.transaction("history", "readonly").objectStore("history");
+    const cursor = await requestToPromise(store.openCursor(null, "prev"));
+    return cursor ? cursor.value : null;
+  }
+
+  /**
+   * The history entries without their snapshots, newest first.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{takenAt: number, mode: string, diff: object|null}[]>}
+   */
+  async function readHistory(accountId) {
+    const db = await open(accountId);
+    const entries = await requestToPromise(
+      db.transaction("history", "readonly").objectStore("history").getAll()
+    );
+    return entries.reverse().map(({ takenAt, mode, diff }) => ({ takenAt, mode, diff }));
+  }
+
+  return {
+    open,
+    deleteDatabase,
+    writeCaches,
+    readCaches,
+    getCompany,
+    getProject,
+    getUser,
+    searchIndex,
+    counts,
+    saveCheckpointEntry,
+    readCheckpoint,
+    clearCheckpoint,
+    addHistoryEntry,
+    latestHistoryEntry,
+    readHistory,
+  };
+})();
@@ -0,0 +1,113 @@
+// lib/cache-freshness.js - When a cache is stale and when it may be rebuilt
+//
+// Requires: lib/aps-constants.js (CACHE_MAX_AGE_MS, CACHE_REFRESH_INTERVAL_MIN)
+//
+// Exposed as the global `CacheFreshness` namespace. Loaded by the service
+// worker (via importScripts) and the options page. This is the one place
+// that decides staleness: the popup, options page and content scripts get
+// `stale` from background.js (MSG.GET_CACHE_STATUS) instead of judging a
+// timestamp themselves.
+//
+// Settings are stored in chrome.storage.local as
+//   cacheFreshness : { maxAgeMinutes, refreshIntervalMinutes,
+//                      rebuildWindow: { start: "HH:MM", end: "HH:MM" } | null,
+//                      skipWhenIdle, skipOnBattery }
+// The window and the skip options only hold back automatic builds (the
+// refresh alarm, and ACC pages finding their cache stale); builds started
+// from the popup or options page always run.
+
+const CacheFreshness = (() => {
+  const DEFAULTS = Object.freeze({
+    maxAgeMinutes:          CACHE_MAX_AGE_MS / 60000,
+    refreshIntervalMinutes: CACHE_REFRESH_INTERVAL_MIN,
+    rebuildWindow:          null,
+    skipWhenIdle:           false,
+    skipOnBattery:          false,
+  });
+
+  // Accepted ranges, also used as the options page's input limits
+  const LIMITS = Object.freeze({
+    maxAgeMinutes:          { min: 5, max: 7 * 24 * 60 },
+    refreshIntervalMinutes: { min: 5, max: 24 * 60 },
+  });
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  function clamp(value, { min, max }, fallback) {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) && number > 0 ? Math.min(max, Math.max(min, number)) : fallback;
+  }
+
+  /**
+   * Fill in defaults and drop out-of-range values.
+   *
+   * @param {object} [settings]
+   * @returns {object}
+   */
+  function normalize(settings = {}) {
+    const rebuildWindow = settings.rebuildWindow;
+    const validWindow = rebuildWindow && TIME_PATTERN.test(rebuildWindow.start) &&
+      TIME_PATTERN.test(rebuildWindow.end) && rebuildWindow.start !== rebuildWindow.end;
+    return {
+      maxAgeMinutes:          clamp(settings.maxAgeMinutes, LIMITS.maxAgeMinutes, DEFAULTS.maxAgeMinutes),
+      refreshIntervalMinutes: clamp(
+        settings.refreshIntervalMinutes, LIMITS.refreshIntervalMinutes, DEFAULTS.refreshIntervalMinutes
+      ),
+      rebuildWindow:          validWindow ? { start: rebuildWindow.start, end: rebuildWindow.end } : null,
+      skipWhenIdle:           Boolean(settings.skipWhenIdle),
+      skipOnBattery:          Boolean(settings.skipOnBattery),
+    };
+  }
+
+  /**
+   * @returns {Promise<object>} the stored settings, normalized
+   */
+  async function load() {
+    const { cacheFreshness } = await chrome.storage.local.get(["cacheFreshness"]);
+    return normalize(cacheFreshness);
+  }
+
+  /**
+   * Normalize and store the settings.
+   *
+   * @param {object} settings
+   * @returns {Promise<object>} what was stored
+   */
+  async function save(settings) {
+    const cacheFreshness = normalize(settings);
+    await chrome.storage.local.set({ cacheFreshness });
+    return cacheFreshness;
+  }
+
+  /**
+   * True when a cache timestamp is missing or older than the maximum age.
+   *
+   * @param {number|null} timestamp - epoch ms
+   * @param {object} settings - load()
+   */
+  function isStale(timestamp, settings) {
+    return !timestamp || Date.now() - timestamp > settings.maxAgeMinutes * 60000;
+  }
+
+  function minutesOfDay(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * True when automatic rebuilds may run at `date`: there is no window, or
+   * the local time is inside it. A window may span midnight (22:00–06:00).
+   *
+   * @param {object} settings - load()
+   * @param {Date} [date]
+   */
+  function inRebuildWindow(settings, date = new Date()) {
+    if (!settings.rebuildWindow) return true;
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = minutesOfDay(settings.rebuildWindow.start);
+    const end = minutesOfDay(settings.rebuildWindow.end);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  return { DEFAULTS, LIMITS, normalize, load, save, isStale, inRebuildWindow };
+})();
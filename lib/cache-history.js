@@ -0,0 +1,147 @@
+// lib/cache-history.js - Compact cache snapshots and the diff between two builds
+//
+// Requires: nothing
+//
+// Exposed as the global `CacheHistory` namespace. background.js takes a
+// snapshot after every build or import, diffs it against the previous one and
+// keeps both in the CacheDB history store; options.js renders the diffs as a
+// timeline.
+//
+// A snapshot keeps only what the diff needs:
+//   { companies: { <uuid>: { name, userIds[] } },
+//     projects:  { <uuid>: { name, status, memberIds[] } },
+//     people:    { <uuid>: "Name <email>" },
+//     companyOf: { <uuid>: companyId } }   account company, else the company
+//                                          a project-only member is on it for
+
+const CacheHistory = (() => {
+  function personLabel(person) {
+    const name = person.name || "";
+    if (!person.email) return name || person.uuid;
+    return name ? `${name} <${person.email}>` : person.email;
+  }
+
+  /**
+   * Reduce the nested caches to a snapshot.
+   *
+   * @param {{companiesCache: object[], projectsCache: object[]}} caches
+   * @returns {object}
+   */
+  function snapshot({ companiesCache, projectsCache }) {
+    const companies = {};
+    const projects = {};
+    const people = {};
+    const companyOf = {};
+
+    for (const company of companiesCache) {
+      const userIds = [];
+      for (const user of company.users || []) {
+        userIds.push(user.uuid);
+        people[user.uuid] = personLabel(user);
+        companyOf[user.uuid] = company.uuid;
+      }
+      companies[company.uuid] = { name: company.name || "", userIds };
+    }
+
+    for (const project of projectsCache) {
+      const memberIds = [];
+      for (const member of project.members || []) {
+        memberIds.push(member.uuid);
+        people[member.uuid] ||= personLabel(member);
+        if (member.companyId) companyOf[member.uuid] ||= member.companyId;
+      }
+      projects[project.uuid] = { name: project.name || "", status: project.status || "", memberIds };
+    }
+
+    return { companies, projects, people, companyOf };
+  }
+
+  /**
+   * Give `projectIds` in `after` their member lists from `before`: projects
+   * whose crawl failed come back with no members, which the diff would
+   * report as everyone leaving (and rejoining after the next good crawl).
+   *
+   * @param {object} after - snapshot(), changed in place
+   * @param {object} before - snapshot()
+   * @param {string[]} projectIds
+   */
+  function keepMembers(after, before, projectIds) {
+    for (const uuid of projectIds) {
+      if (after.projects[uuid] && before.projects[uuid]) {
+        after.projects[uuid].memberIds = before.projects[uuid].memberIds;
+      }
+    }
+  }
+
+  function isArchived(project) {
+    return project.status.toLowerCase() === "archived";
+  }
+
+  /**
+   * People added to and removed from each record present in both snapshots.
+   *
+   * @returns {{added: object[], removed: object[]}} entries
+   *   { uuid, name, people: [{ uuid, label, companyId }] }
+   */
+  function membershipChanges(beforeRecords, afterRecords, idsKey, people, companyOf) {
+    const label = (id) => ({ uuid: id, label: people[id] || id, companyId: companyOf[id] || "" });
+    const added = [];
+    const removed = [];
+    for (const [uuid, record] of Object.entries(afterRecords)) {
+      const old = beforeRecords[uuid];
+      if (!old) continue;
+      const oldIds = new Set(old[idsKey]);
+      const newIds = new Set(record[idsKey]);
+      const joined = record[idsKey].filter((id) => !oldIds.has(id));
+      const left = old[idsKey].filter((id) => !newIds.has(id));
+      if (joined.length) added.push({ uuid, name: record.name, people: joined.map(label) });
+      if (left.length) removed.push({ uuid, name: record.name, people: left.map(label) });
+    }
+    return { added, removed };
+  }
+
+  /**
+   * What changed from one snapshot to the next.
+   *
+   * @param {object} before - snapshot()
+   * @param {object} after - snapshot()
+   * @returns {{companiesAdded: object[], companiesRemoved: object[],
+   *            usersAdded: object[], usersRemoved: object[],
+   *            projectsAdded: object[], projectsArchived: object[], projectsRemoved: object[],
+   *            membersAdded: object[], membersRemoved: object[]}}
+   *   companies/projects lists hold { uuid, name }; users/members lists hold
+   *   one { uuid, name, people: [{ uuid, label, companyId }] } per company or project
+   */
+  function diff(before, after) {
+    const records = (snap, key) => Object.entries(snap[key]).map(([uuid, r]) => ({ uuid, name: r.name }));
+    const missingFrom = (snap, key) => (r) => !snap[key][r.uuid];
+
+    const people = { ...before.people, ...after.people };
+    const companyOf = { ...before.companyOf, ...after.companyOf };
+    const users = membershipChanges(before.companies, after.companies, "userIds", people, companyOf);
+    const members = membershipChanges(before.projects, after.projects, "memberIds", people, companyOf);
+
+    return {
+      companiesAdded:   records(after, "companies").filter(missingFrom(before, "companies")),
+      companiesRemoved: records(before, "companies").filter(missingFrom(after, "companies")),
+      usersAdded:       users.added,
+      usersRemoved:     users.removed,
+      projectsAdded:    records(after, "projects").filter(missingFrom(before, "projects")),
+      projectsArchived: records(after, "projects").filter(
+        (r) => before.projects[r.uuid] && isArchived(after.projects[r.uuid]) && !isArchived(before.projects[r.uuid])
+      ),
+      projectsRemoved:  records(before, "projects").filter(missingFrom(after, "projects")),
+      membersAdded:     members.added,
+      membersRemoved:   members.removed,
+    };
+  }
+
+  /**
+   * True when a diff has no changes at all.
+   */
+  function isEmpty(changes) {
+    return Object.values(changes).every((list) => list.length === 0);
+  }
+
+  return { snapshot, keepMembers, diff, isEmpty };
+})();
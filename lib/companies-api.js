@@ -1,10 +1,11 @@
 // lib/companies-api.js - Company-related APS API calls
 // mirrors acc/company.py
 //
-// Requires: lib/aps-constants.js (APS_BASE_URL)
+// Requires: lib/aps-constants.js, lib/aps-client.js (ApsClient)
 //
 // Exposed as the global `CompaniesAPI` namespace so it can be loaded in both
 // the service worker (via importScripts) and content scripts (via manifest).
+// Every fetcher takes a trailing `{ region }` ("US", "EMEA" or "AUS").
 
 const CompaniesAPI = (() => {
   /**
@@ -13,61 +14,39 @@ const CompaniesAPI = (() => {
    *
    * @param {string} token     - bearer token
    * @param {string} accountId - APS account UUID
+   * @param {{region?: string}} [options]
    * @returns {Promise<object[]>}
    */
-  async function fetchAll(token, accountId) {
-    const companies = [];
-    let offset = 0;
-    const limit = 100;
-
-    while (true) {
-      const url = `${APS_BASE_URL}/hq/v1/accounts/${accountId}/companies?limit=${limit}&offset=${offset}`;
-      const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-      if (!resp.ok) {
-        const body = await resp.text().catch(() => "");
-        throw new Error(`API ${resp.status} — companies: ${body}`);
-      }
-      const batch = await resp.json();
-      if (!Array.isArray(batch) || batch.length === 0) break;
-      companies.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-
-    return companies;
+  async function fetchAll(token, accountId, { region } = {}) {
+    return ApsClient.paginateArray(token, ApsClient.hqUrl(region, `/accounts/${accountId}/companies`), {
+      limit: 100,
+      label: "companies",
+      headers: ApsClient.regionHeaders(region),
+    });
   }
 
   /**
    * Fetch all companies assigned to a specific project, paginating through all results.
-   * Silently returns [] on any error (some project types don't support this endpoint).
+   * Returns [] on 404 (some project types don't support this endpoint); any
+   * other failure is thrown as an ApsClient error.
    * mirrors acc/company.py listProjectCompanies()
    *
    * @param {string} token     - bearer token
    * @param {string} accountId - APS account UUID
    * @param {string} projectId - project UUID
+   * @param {{region?: string}} [options]
    * @returns {Promise<object[]>}
    */
-  async function fetchProjectCompanies(token, accountId, projectId) {
-    const baseUrl = `${APS_BASE_URL}/hq/v1/accounts/${accountId}/projects/${projectId}/companies`;
+  async function fetchProjectCompanies(token, accountId, projectId, { region } = {}) {
     try {
-      const allCompanies = [];
-      let offset = 0;
-      const limit = 100;
-
-      while (true) {
-        const url = `${baseUrl}?limit=${limit}&offset=${offset}`;
-        const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-        if (!resp.ok) break;
-        const batch = await resp.json();
-        if (!Array.isArray(batch) || batch.length === 0) break;
-        allCompanies.push(...batch);
-        if (batch.length < limit) break;
-        offset += limit;
-      }
-
-      return allCompanies;
-    } catch {
-      return [];
+      return await ApsClient.paginateArray(
+        token,
+        ApsClient.hqUrl(region, `/accounts/${accountId}/projects/${projectId}/companies`),
+        { limit: 100, label: "project companies", headers: ApsClient.regionHeaders(region) }
+      );
+    } catch (err) {
+      if (err instanceof ApsClient.ApsNotFoundError) return [];
+      throw err;
     }
   }
 
@@ -78,17 +57,14 @@ const CompaniesAPI = (() => {
    * @param {string} token       - bearer token
    * @param {string} accountId   - APS account UUID
    * @param {string} companyName - search term
+   * @param {{region?: string}} [options]
    * @returns {Promise<object[]>}
    */
-  async function searchByName(token, accountId, companyName) {
-    const url = `${APS_BASE_URL}/hq/v1/accounts/${accountId}/companies/search?name=${encodeURIComponent(companyName)}`;
-    const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-    if (resp.status === 401) throw new Error("Token expired. Reload the page to refresh.");
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => "");
-      throw new Error(`API ${resp.status} — company search: ${body}`);
-    }
-    return resp.json();
+  async function searchByName(token, accountId, companyName, { region } = {}) {
+    const url = ApsClient.withQuery(ApsClient.hqUrl(region, `/accounts/${accountId}/companies/search`), {
+      name: companyName,
+    });
+    return ApsClient.getJson(token, url, { label: "company search", headers: ApsClient.regionHeaders(region) });
   }
 
   return { fetchAll, fetchProjectCompanies, searchByName };
@@ -0,0 +1,141 @@
+// lib/connection-test.js - Step-by-step check of a profile's APS connection
+//
+// Requires: lib/aps-constants.js (APS_BASE_URL, APS_REGIONS),
+//           lib/aps-client.js (ApsClient), lib/secret-vault.js (SecretVault)
+//
+// Exposed as the global `ConnectionTest` namespace. background.js runs it for
+// MSG.TEST_CONNECTION; the extension pages only render its results.
+//
+// Each step reports { id, label, status, detail, hint }:
+//   status "pass", "warn" (worked, but looks wrong), "fail", or "skip" (an
+//   earlier step failed); `hint` tells the user how to fix a warn/fail.
+
+const ConnectionTest = (() => {
+  const STEPS = Object.freeze({
+    token:     "Get an access token",
+    account:   "Read the ACC account",
+    companies: "List companies",
+    users:     "List users",
+    projects:  "List projects",
+  });
+
+  const HINTS = Object.freeze({
+    credentials:
+      "Check the Client ID and Client Secret: copy both again from your app at aps.autodesk.com/myapps " +
+      "(regenerating the secret invalidates the old one).",
+    network: "Autodesk could not be reached. Check your network connection or proxy.",
+    busy:    "APS is throttling requests or unavailable. Try again in a minute.",
+    integration:
+      "Add the Client ID as a Custom Integration of the account: ACC Account Admin > Settings > " +
+      "Custom Integrations > Add Custom Integration.",
+    accountId:
+      "Check the Account ID (ACC Account Admin > Settings) and that the app is added as a Custom " +
+      "Integration of that account.",
+    access:
+      "The Custom Integration can't read this. In ACC Account Admin > Settings > Custom Integrations, " +
+      "check that it is active and has Account Administration access.",
+  });
+
+  /**
+   * Pick the remediation hint for a failed step.
+   */
+  function hintFor(step, err) {
+    if (err instanceof SecretVault.VaultLockedError) return "Unlock with your passphrase, then test again.";
+    if (!(err instanceof ApsClient.ApsError)) return null;
+    if (err.status === 0) return HINTS.network;
+    if (err instanceof ApsClient.ApsThrottledError || err instanceof ApsClient.ApsServerError) return HINTS.busy;
+    if (step === "token") return err.status === 400 || err.status === 401 ? HINTS.credentials : null;
+    if (err instanceof ApsClient.ApsAuthError) return HINTS.credentials;
+    if (step === "account") {
+      if (err instanceof ApsClient.ApsForbiddenError) return HINTS.integration;
+      if (err instanceof ApsClient.ApsNotFoundError) return HINTS.accountId;
+    }
+    if (err instanceof ApsClient.ApsForbiddenError) return HINTS.access;
+    return null;
+  }
+
+  /**
+   * Fetch the first item of a list endpoint and report it as a step.
+   */
+  async function listStep(token, noun, url, { region, headers } = {}) {
+    const page = await ApsClient.getJson(token, ApsClient.withQuery(url, { limit: 1 }), { label: noun, headers });
+    const items = Array.isArray(page) ? page : page?.results || [];
+    if (items.length > 0) return { status: "pass", detail: `Found ${noun}.` };
+    return {
+      status: "warn",
+      detail: `No ${noun} returned.`,
+      hint: `If the account has ${noun}, check that its region is ${ApsClient.regionInfo(region).label}.`,
+    };
+  }
+
+  /**
+   * Run every step in turn. A failed token or account step skips the rest,
+   * since nothing after it can succeed.
+   *
+   * @param {object}   options
+   * @param {Function} options.getToken  - async () => bearer token
+   * @param {string}   options.accountId
+   * @param {string}   [options.region]   - APS_REGIONS key
+   * @returns {Promise<object[]>} one result per step, in order
+   */
+  async function run({ getToken, accountId, region }) {
+    const results = [];
+    let token = null;
+    let blocked = false;
+
+    const steps = {
+      token: async () => {
+        token = await getToken();
+        return { status: "pass", detail: "Token obtained." };
+      },
+      account: async () => {
+        const hub = await ApsClient.getJson(token, `${APS_BASE_URL}/project/v1/hubs/b.${accountId}`, {
+          label: "account",
+        });
+        const { name, region: hubRegion } = hub.data?.attributes || {};
+        if (APS_REGIONS[hubRegion] && hubRegion !== ApsClient.regionInfo(region).header) {
+          return {
+            status: "fail",
+            detail: `"${name}" is hosted in ${APS_REGIONS[hubRegion].label}.`,
+            hint: `Set the profile's region to ${APS_REGIONS[hubRegion].label}.`,
+          };
+        }
+        return { status: "pass", detail: `Found "${name}".` };
+      },
+      companies: () =>
+        listStep(token, "companies", ApsClient.hqUrl(region, `/accounts/${accountId}/companies`), {
+          region,
+          headers: ApsClient.regionHeaders(region),
+        }),
+      users: () =>
+        listStep(token, "users", ApsClient.hqUrl(region, `/accounts/${accountId}/users`), {
+          region,
+          headers: ApsClient.regionHeaders(region),
+        }),
+      projects: () =>
+        listStep(token, "projects", `${APS_BASE_URL}/construction/admin/v1/accounts/${accountId}/projects`, {
+          region,
+          headers: ApsClient.regionHeaders(region),
+        }),
+    };
+
+    for (const [id, label] of Object.entries(STEPS)) {
+      if (blocked) {
+        results.push({ id, label, status: "skip", detail: "Skipped: an earlier step failed.", hint: null });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await steps[id]();
+      } catch (err) {
+        result = { status: "fail", detail: err.message, hint: hintFor(id, err) };
+      }
+      results.push({ id, label, hint: null, ...result });
+      if (result.status === "fail" && (id === "token" || id === "account")) blocked = true;
+    }
+    return results;
+  }
+
+  return { STEPS, run };
+})();
@@ -0,0 +1,142 @@
+// lib/data-table.js - Sortable, paginated tables for the extension pages
+//
+// Requires: nothing
+//
+// Exposed as the global `DataTable` namespace. Used by dashboard.js; the
+// caller filters the rows, the table sorts and pages them.
+//
+// Columns are { key, label, numeric?, hidden?, value?(row), render?(row) }:
+//   value  - what the column sorts and filters on (default: row[key])
+//   render - a Node or string to show instead of the value
+//   hidden - not shown until picked with setVisibleColumns()
+
+const DataTable = (() => {
+  function compare(a, b) {
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    return String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true, sensitivity: "base" });
+  }
+
+  /**
+   * The value a column sorts and filters on.
+   */
+  function valueOf(column, row) {
+    return column.value ? column.value(row) : row[column.key];
+  }
+
+  /**
+   * Build a table inside `container`.
+   *
+   * @param {HTMLElement} container
+   * @param {object}   options
+   * @param {object[]} options.columns
+   * @param {number}   [options.pageSize]
+   * @param {Function} [options.onSort] - ({key, dir}) after a header click
+   * @returns {{setRows: Function, setVisibleColumns: Function, setSort: Function,
+   *            visibleColumns: Function, sort: Function}}
+   */
+  function create(container, { columns, pageSize = 50, onSort }) {
+    let rows = [];
+    let visible = columns.filter((c) => !c.hidden).map((c) => c.key);
+    let sort = { key: columns[0].key, dir: 1 };
+    let page = 0;
+
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const thead = document.createElement("thead");
+    const tbody = document.createElement("tbody");
+    table.append(thead, tbody);
+
+    const pager = document.createElement("div");
+    pager.className = "data-table-pager";
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "secondary";
+    prevBtn.textContent = "Previous";
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "secondary";
+    nextBtn.textContent = "Next";
+    const info = document.createElement("span");
+    pager.append(prevBtn, info, nextBtn);
+
+    container.replaceChildren(table, pager);
+
+    prevBtn.addEventListener("click", () => {
+      page--;
+      render();
+    });
+    nextBtn.addEventListener("click", () => {
+      page++;
+      render();
+    });
+
+    function shownColumns() {
+      return columns.filter((c) => visible.includes(c.key));
+    }
+
+    function renderHead() {
+      const tr = document.createElement("tr");
+      for (const column of shownColumns()) {
+        const th = document.createElement("th");
+        th.textContent = column.label + (sort.key === column.key ? (sort.dir > 0 ? " ▲" : " ▼") : "");
+        if (column.numeric) th.className = "numeric";
+        th.addEventListener("click", () => {
+          sort = { key: column.key, dir: sort.key === column.key ? -sort.dir : 1 };
+          page = 0;
+          render();
+          if (onSort) onSort(sort);
+        });
+        tr.appendChild(th);
+      }
+      thead.replaceChildren(tr);
+    }
+
+    function render() {
+      renderHead();
+
+      const column = columns.find((c) => c.key === sort.key) || columns[0];
+      const sorted = rows.slice().sort((a, b) => sort.dir * compare(valueOf(column, a), valueOf(column, b)));
+      const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+      page = Math.min(Math.max(page, 0), pages - 1);
+      const start = page * pageSize;
+
+      const fragment = document.createDocumentFragment();
+      for (const row of sorted.slice(start, start + pageSize)) {
+        const tr = document.createElement("tr");
+        for (const col of shownColumns()) {
+          const td = document.createElement("td");
+          if (col.numeric) td.className = "numeric";
+          const content = col.render ? col.render(row) : valueOf(col, row);
+          td.append(content ?? "");
+          tr.appendChild(td);
+        }
+        fragment.appendChild(tr);
+      }
+      tbody.replaceChildren(fragment);
+
+      info.textContent = sorted.length
+        ? `${start + 1}–${Math.min(start + pageSize, sorted.length)} of ${sorted.length}`
+        : "No rows";
+      prevBtn.disabled = page === 0;
+      nextBtn.disabled = page >= pages - 1;
+    }
+
+    return {
+      setRows(next) {
+        rows = next;
+        page = 0;
+        render();
+      },
+      setVisibleColumns(keys) {
+        visible = keys.length ? keys : columns.map((c) => c.key);
+        render();
+      },
+      setSort(next) {
+        if (next && columns.some((c) => c.key === next.key)) sort = { key: next.key, dir: next.dir < 0 ? -1 : 1 };
+        render();
+      },
+      visibleColumns: () => visible.slice(),
+      sort: () => ({ ...sort }),
+    };
+  }
+
+  return { valueOf, create };
+})();
@@ -0,0 +1,148 @@
+// lib/duplicate-companies.js - Likely duplicate companies in the companies cache
+//
+// Requires: nothing
+//
+// Exposed as the global `DuplicateCompanies` namespace. dashboard.js runs it
+// on the caches of MSG.GET_ALL_CACHES.
+//
+// Two companies are linked when their names normalize to the same key
+// ("ACME Inc", "Acme, Inc." and "ACME INC (old)" all become "acme") or when
+// their users share an email domain (public mail providers excepted).
+// Linked companies form clusters; a cluster is a candidate for a merge,
+// which is the admin's call.
+
+const DuplicateCompanies = (() => {
+  // Legal-form words dropped from names, after punctuation is removed
+  const LEGAL_SUFFIXES = new Set([
+    "inc", "incorporated", "llc", "llp", "lp", "ltd", "limited", "corp", "corporation", "co", "company",
+    "plc", "pty", "pte", "gmbh", "ag", "kg", "sa", "sas", "sarl", "srl", "spa", "bv", "nv", "oy", "ab",
+    "as", "aps",
+  ]);
+
+  // Shared by unrelated people, so they say nothing about the company
+  const PUBLIC_EMAIL_DOMAINS = new Set([
+    "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "msn.com", "yahoo.com",
+    "icloud.com", "me.com", "aol.com", "proton.me", "protonmail.com", "gmx.com", "gmx.de", "web.de",
+    "mail.com", "yandex.com", "qq.com", "163.com",
+  ]);
+
+  /**
+   * Comparison key of a company name: lower case, accents, parenthesized
+   * notes, punctuation and legal suffixes removed.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  function normalizeName(name) {
+    const words = (name || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .split(" ")
+      .filter(Boolean);
+
+    // Keep a name that is nothing but a suffix ("Company") as it is
+    const kept = words.filter((word) => !LEGAL_SUFFIXES.has(word));
+    return (kept.length ? kept : words).join(" ");
+  }
+
+  function emailDomain(email) {
+    const at = (email || "").lastIndexOf("@");
+    return at === -1 ? "" : email.slice(at + 1).trim().toLowerCase();
+  }
+
+  /**
+   * Group likely duplicates.
+   *
+   * @param {object[]} companiesCache
+   * @returns {object[]} clusters, largest first:
+   *   { companies: [{ uuid, name, userCount, projectCount }], reasons: string[],
+   *     members: [{ uuid, name, email, companyName }],
+   *     projects: [{ uuid, name, platform }] }
+   *   `members` and `projects` combine the cluster's companies, de-duplicated.
+   */
+  function findClusters(companiesCache) {
+    const parent = companiesCache.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reasons = new Map(); // root index → Set of reasons, merged on union
+
+    function link(indexes, reason) {
+      if (indexes.length < 2) return;
+      const [first, ...rest] = indexes;
+      for (const i of rest) {
+        const a = find(first);
+        const b = find(i);
+        if (a !== b) {
+          parent[b] = a;
+          reasons.set(a, new Set([...(reasons.get(a) || []), ...(reasons.get(b) || [])]));
+          reasons.delete(b);
+        }
+      }
+      const root = find(first);
+      reasons.set(root, (reasons.get(root) || new Set()).add(reason));
+    }
+
+    const byName = new Map();
+    const byDomain = new Map();
+    companiesCache.forEach((company, i) => {
+      const key = normalizeName(company.name);
+      if (key) (byName.get(key) || byName.set(key, []).get(key)).push(i);
+
+      const domains = new Set((company.users || []).map((u) => emailDomain(u.email)));
+      for (const domain of domains) {
+        if (!domain || PUBLIC_EMAIL_DOMAINS.has(domain)) continue;
+        (byDomain.get(domain) || byDomain.set(domain, []).get(domain)).push(i);
+      }
+    });
+
+    for (const [key, indexes] of byName) link(indexes, `Same name once normalized: "${key}"`);
+    for (const [domain, indexes] of byDomain) link(indexes, `Users share the email domain ${domain}`);
+
+    const groups = new Map();
+    companiesCache.forEach((_, i) => {
+      const root = find(i);
+      (groups.get(root) || groups.set(root, []).get(root)).push(i);
+    });
+
+    const clusters = [];
+    for (const [root, indexes] of groups) {
+      if (indexes.length < 2) continue;
+      const companies = indexes.map((i) => companiesCache[i]);
+
+      const members = new Map();
+      const projects = new Map();
+      for (const company of companies) {
+        for (const user of company.users || []) {
+          if (!members.has(user.uuid)) {
+            members.set(user.uuid, { uuid: user.uuid, name: user.name, email: user.email, companyName: company.name });
+          }
+        }
+        for (const project of company.projects || []) {
+          projects.set(project.uuid, { uuid: project.uuid, name: project.name, platform: project.platform || "" });
+        }
+      }
+
+      clusters.push({
+        companies: companies.map((c) => ({
+          uuid:         c.uuid,
+          name:         c.name,
+          userCount:    (c.users || []).length,
+          projectCount: (c.projects || []).length,
+        })),
+        reasons:  [...reasons.get(root)],
+        members:  [...members.values()],
+        projects: [...projects.values()],
+      });
+    }
+
+    return clusters.sort(
+      (a, b) => b.companies.length - a.companies.length || b.members.length - a.members.length
+    );
+  }
+
+  return { normalizeName, findClusters };
+})();
@@ -0,0 +1,443 @@
+// lib/exporters.js - CSV and XLSX exports of cached companies, projects and memberships
+//
+// Requires: nothing
+//
+// Exposed as the global `Exporters` namespace so it can be loaded in content
+// scripts (via manifest, for the injected lists) and the options page.
+//
+// Exports are tables: a TABLES entry names the columns, and the *Rows()
+// builders turn cache records (the nested shapes of CacheDB.readCaches(), or
+// the partial records the injected lists show) into rows keyed by column.
+// The user's choices are stored in chrome.storage.local as
+//   exportSettings : { format: "csv"|"xlsx", emailsOnly, columns: { [table]: [keys] } }
+//
+// XLSX files are written without a library: a minimal SpreadsheetML workbook
+// (inline strings, no styles) in an uncompressed ("stored") zip archive.
+
+const Exporters = (() => {
+  const TABLES = Object.freeze({
+    companies: {
+      label: "Companies",
+      columns: [
+        { key: "name",         label: "Company" },
+        { key: "uuid",         label: "Company ID" },
+        { key: "memberCount",  label: "Members" },
+        { key: "projectCount", label: "Projects" },
+      ],
+    },
+    projects: {
+      label: "Projects",
+      columns: [
+        { key: "name",         label: "Project" },
+        { key: "uuid",         label: "Project ID" },
+        { key: "platform",     label: "Platform" },
+        { key: "status",       label: "Status" },
+        { key: "type",         label: "Type" },
+        { key: "updatedAt",    label: "Updated" },
+        { key: "memberCount",  label: "Members" },
+        { key: "companyCount", label: "Companies" },
+        { key: "companyNames", label: "Company Names" },
+        { key: "memberEmails", label: "Member Emails" },
+      ],
+    },
+    users: {
+      label: "Users",
+      columns: [
+        { key: "name",    label: "Name" },
+        { key: "email",   label: "Email" },
+        { key: "company", label: "Company" },
+      ],
+    },
+    memberships: {
+      label: "Memberships",
+      columns: [
+        { key: "userName",    label: "User" },
+        { key: "email",       label: "Email" },
+        { key: "companyName", label: "Company" },
+        { key: "companyId",   label: "Company ID" },
+        { key: "projectName", label: "Project" },
+        { key: "projectId",   label: "Project ID" },
+        { key: "platform",    label: "Platform" },
+      ],
+    },
+  });
+
+  const DEFAULT_SETTINGS = Object.freeze({ format: "csv", emailsOnly: false, columns: {} });
+
+  // ── Row builders ──────────────────────────────────────────────────────
+
+  /**
+   * @param {object[]} companies - companiesCache records
+   */
+  function companyRows(companies) {
+    return companies.map((company) => ({
+      name:         company.name || "",
+      uuid:         company.uuid || company.id || "",
+      memberCount:  company.users?.length ?? "",
+      projectCount: company.projects?.length ?? "",
+    }));
+  }
+
+  /**
+   * @param {object[]} projects - projectsCache records, or the partial
+   *   { name, uuid|id, platform, members? } records of an injected list
+   */
+  function projectRows(projects) {
+    return projects.map((project) => ({
+      name:         project.name || "",
+      uuid:         project.uuid || project.id || "",
+      platform:     project.platform || "",
+      status:       project.status || "",
+      type:         project.type || "",
+      updatedAt:    project.updatedAt || "",
+      memberCount:  project.members?.length ?? "",
+      companyCount: project.companies?.length ?? "",
+      companyNames: (project.companies || []).map((c) => c.name).filter(Boolean).join("; "),
+      memberEmails: (project.members || []).map((m) => m.email).filter(Boolean).join("; "),
+    }));
+  }
+
+  /**
+   * @param {object[]} users     - { name, email } records
+   * @param {string}   [company] - company name shared by every user
+   */
+  function userRows(users, company = "") {
+    return users.map((user) => ({
+      name:    user.name || "",
+      email:   user.email || "",
+      company: user.company || company,
+    }));
+  }
+
+  /**
+   * One row per user per project, from the projects cache; company names
+   * come from the companies cache.
+   *
+   * @param {object[]} projects  - projectsCache
+   * @param {object[]} companies - companiesCache
+   */
+  function membershipRows(projects, companies) {
+    const companyNames = new Map(companies.map((c) => [c.uuid, c.name]));
+    const rows = [];
+    for (const project of projects) {
+      for (const member of project.members || []) {
+        rows.push({
+          userName:    member.name || "",
+          email:       member.email || "",
+          companyName: companyNames.get(member.companyId) || "",
+          companyId:   member.companyId || "",
+          projectName: project.name || "",
+          projectId:   project.uuid || "",
+          platform:    project.platform || "",
+        });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * One row per project of a single user.
+   *
+   * @param {object} user - a usersCache entry (CacheDB.getUser())
+   */
+  function userMembershipRows(user) {
+    return user.projects.map((project) => ({
+      userName:    user.name || "",
+      email:       user.email || "",
+      companyName: project.companyName || "",
+      companyId:   project.companyId || "",
+      projectName: project.name || "",
+      projectId:   project.uuid || "",
+      platform:    project.platform || "",
+    }));
+  }
+
+  // ── Settings ──────────────────────────────────────────────────────────
+
+  async function loadSettings() {
+    const { exportSettings } = await chrome.storage.local.get(["exportSettings"]);
+    return { ...DEFAULT_SETTINGS, ...exportSettings };
+  }
+
+  /**
+   * The chosen columns of a table (all of them unless narrowed down).
+   */
+  function selectedColumns(table, settings) {
+    const keys = settings.columns?.[table];
+    const columns = TABLES[table].columns;
+    if (!keys?.length) return columns;
+    return columns.filter((column) => keys.includes(column.key));
+  }
+
+  /**
+   * Turn rows into the sheet to export: the chosen columns, or in
+   * email-only mode a single de-duplicated Email column.
+   *
+   * @returns {{name: string, columns: object[], rows: object[]}}
+   */
+  function sheet(table, rows, settings) {
+    if (!settings.emailsOnly) {
+      return { name: TABLES[table].label, columns: selectedColumns(table, settings), rows };
+    }
+
+    const emails = new Set();
+    for (const row of rows) {
+      for (const email of [row.email, ...(row.memberEmails || "").split("; ")]) {
+        if (email) emails.add(email.toLowerCase());
+      }
+    }
+    return {
+      name:    `${TABLES[table].label} Emails`,
+      columns: [{ key: "email", label: "Email" }],
+      rows:    [...emails].sort().map((email) => ({ email })),
+    };
+  }
+
+  // ── CSV ───────────────────────────────────────────────────────────────
+
+  function csvCell(value) {
+    let text = value == null ? "" : String(value);
+    // Keep spreadsheet apps from evaluating text cells as formulas
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * RFC 4180 CSV with a BOM, so Excel detects UTF-8.
+   *
+   * @param {{columns: object[], rows: object[]}} sheet
+   * @returns {Blob}
+   */
+  function toCsv({ columns, rows }) {
+    const lines = [columns.map((c) => csvCell(c.label)).join(",")];
+    for (const row of rows) lines.push(columns.map((c) => csvCell(row[c.key])).join(","));
+    return new Blob(["\uFEFF" + lines.join("\r\n") + "\r\n"], { type: "text/csv;charset=utf-8" });
+  }
+
+  // ── XLSX ──────────────────────────────────────────────────────────────
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Build an uncompressed zip archive.
+   *
+   * @param {{name: string, data: string}[]} files
+   * @returns {Uint8Array}
+   */
+  function zip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.data);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);  // local file header signature
+      local.setUint16(4, 20, true);          // version needed (2.0)
+      local.setUint16(8, 0, true);           // method: stored
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(new Uint8Array(local.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);  // central directory signature
+      entry.setUint16(4, 20, true);          // version made by
+      entry.setUint16(6, 20, true);          // version needed
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);     // local header offset
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);      // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const chunks = [...parts, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(chunks.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, position);
+      position += chunk.length;
+    }
+    return out;
+  }
+
+  function xmlEscape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+  }
+
+  function columnName(index) {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  function worksheetXml({ columns, rows }) {
+    const xmlRows = [columns.map((c) => c.label), ...rows.map((row) => columns.map((c) => row[c.key]))].map(
+      (values, r) =>
+        `<row r="${r + 1}">` +
+        values
+          .map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+            if (value == null || value === "") return "";
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+          })
+          .join("") +
+        "</row>"
+    );
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${xmlRows.join("")}</sheetData></worksheet>`
+    );
+  }
+
+  /**
+   * Build an .xlsx workbook with one worksheet per sheet.
+   *
+   * @param {{name: string, columns: object[], rows: object[]}[]} sheets
+   * @returns {Blob}
+   */
+  function toXlsx(sheets) {
+    // Sheet names: max 31 characters, no []:*?/\
+    const names = sheets.map((s, i) => xmlEscape(s.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || `Sheet${i + 1}`));
+    const files = [
+      {
+        name: "[Content_Types].xml",
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          sheets
+            .map((_, i) =>
+              `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+              'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            )
+            .join("") +
+          "</Types>",
+      },
+      {
+        name: "_rels/.rels",
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          "</Relationships>",
+      },
+      {
+        name: "xl/workbook.xml",
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+          names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+          "</sheets></workbook>",
+      },
+      {
+        name: "xl/_rels/workbook.xml.rels",
+        data:
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          sheets
+            .map((_, i) =>
+              `<Relationship Id="rId${i + 1}" ` +
+              'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+              `Target="worksheets/sheet${i + 1}.xml"/>`
+            )
+            .join("") +
+          "</Relationships>",
+      },
+      ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: worksheetXml(s) })),
+    ];
+    return new Blob([zip(files)], {
+      type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    });
+  }
+
+  // ── Download ──────────────────────────────────────────────────────────
+
+  function download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Download one or more tables in the user's chosen format. CSV holds a
+   * single table, so several tables become one XLSX workbook regardless.
+   *
+   * @param {{table: string, rows: object[]}[]} tables - table is a TABLES key
+   * @param {string} baseName - file name without extension
+   * @param {object} [settings] - exportSettings (default: the stored ones)
+   */
+  async function exportTables(tables, baseName, settings) {
+    settings ||= await loadSettings();
+    const sheets = tables.map(({ table, rows }) => sheet(table, rows, settings));
+    const safeName = baseName.replace(/[\\/:*?"<>|]+/g, "_");
+    if (settings.format === "xlsx" || sheets.length > 1) {
+      download(toXlsx(sheets), `${safeName}.xlsx`);
+    } else {
+      download(toCsv(sheets[0]), `${safeName}.csv`);
+    }
+  }
+
+  return {
+    TABLES,
+    DEFAULT_SETTINGS,
+    companyRows,
+    projectRows,
+    userRows,
+    membershipRows,
+    userMembershipRows,
+    loadSettings,
+    toCsv,
+    toXlsx,
+    download,
+    exportTables,
+  };
+})();
@@ -0,0 +1,82 @@
+// lib/fuzzy-search.js - Fuzzy matching for the command palette
+//
+// Requires: nothing
+//
+// Exposed as the global `FuzzySearch` namespace so it can be loaded in
+// content scripts (via manifest) and the extension pages.
+//
+// A query matches a text when its characters appear in the text in order,
+// ignoring case ("cnto" matches "Contoso"). Matches score higher when they
+// are contiguous, start a word, or start the text, so "con" ranks
+// "Contoso Ltd" above "Falcon Construction".
+
+const FuzzySearch = (() => {
+  const SCORE_MATCH       = 1;
+  const BONUS_CONSECUTIVE = 4;
+  const BONUS_WORD_START  = 6;
+  const BONUS_TEXT_START  = 8;
+  const PENALTY_GAP       = 0.1; // per skipped character, capped per gap
+  const MAX_GAP_PENALTY   = 2;
+
+  function isWordStart(text, i) {
+    return i === 0 || /[\s\-_./@(]/.test(text[i - 1]);
+  }
+
+  /**
+   * Score how well `query` matches `text`; null when it doesn't.
+   *
+   * @param {string} query
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function score(query, text) {
+    const q = (query || "").toLowerCase().replace(/\s+/g, " ").trim();
+    const t = (text || "").toLowerCase();
+    if (!q) return 0;
+    if (!t) return null;
+
+    let total = 0;
+    let ti = 0;
+    let previous = -1;
+    for (const ch of q) {
+      const found = t.indexOf(ch, ti);
+      if (found === -1) return null;
+
+      total += SCORE_MATCH;
+      if (found === previous + 1) total += BONUS_CONSECUTIVE;
+      if (isWordStart(t, found)) total += found === 0 ? BONUS_TEXT_START : BONUS_WORD_START;
+      if (previous !== -1) total -= Math.min((found - previous - 1) * PENALTY_GAP, MAX_GAP_PENALTY);
+
+      previous = found;
+      ti = found + 1;
+    }
+    // Prefer shorter texts among equal matches
+    return total - t.length * 0.01;
+  }
+
+  /**
+   * Rank records by their best-matching field.
+   *
+   * @param {object[]} records
+   * @param {string}   query
+   * @param {object}   options
+   * @param {string[]} options.keys    - fields to match, e.g. ["name", "email"]
+   * @param {number}   [options.limit] - maximum results returned
+   * @returns {{total: number, results: object[]}} `total` counts every match
+   */
+  function search(records, query, { keys, limit = Infinity }) {
+    const matches = [];
+    for (const record of records) {
+      let best = null;
+      for (const key of keys) {
+        const s = score(query, record[key]);
+        if (s !== null && (best === null || s > best)) best = s;
+      }
+      if (best !== null) matches.push({ record, score: best });
+    }
+    matches.sort((a, b) => b.score - a.score);
+    return { total: matches.length, results: matches.slice(0, limit).map((m) => m.record) };
+  }
+
+  return { score, search };
+})();
@@ -0,0 +1,153 @@
+// lib/hygiene-report.js - Account hygiene checks over the cached hierarchy
+//
+// Requires: nothing
+//
+// Exposed as the global `HygieneReport` namespace. dashboard.js runs it on
+// the caches of MSG.GET_ALL_CACHES and exports its tables through
+// lib/exporters.js.
+//
+// Each check lists the records ACC doesn't flag but an admin may want to
+// clean up. Columns are { key, label, numeric?, ref? }; `ref` ({ tab, idKey })
+// says which dashboard tab the cell's record belongs to and which row field
+// holds its UUID, so the dashboard can link to it.
+
+const HygieneReport = (() => {
+  const COMPANY_REF = { tab: "companies", idKey: "companyId" };
+  const PROJECT_REF = { tab: "projects", idKey: "projectId" };
+  const USER_REF    = { tab: "users", idKey: "userId" };
+
+  const CHECKS = Object.freeze([
+    {
+      id: "emptyCompanies",
+      label: "Companies with no users",
+      description: "No account user belongs to the company.",
+      columns: [
+        { key: "companyName",  label: "Company", ref: COMPANY_REF },
+        { key: "companyId",    label: "Company ID" },
+        { key: "projectCount", label: "Projects", numeric: true },
+      ],
+    },
+    {
+      id: "unstaffedAssignments",
+      label: "Companies on projects without members",
+      description: "The company is assigned to the project, but none of its people are members of it.",
+      columns: [
+        { key: "companyName", label: "Company", ref: COMPANY_REF },
+        { key: "companyId",   label: "Company ID" },
+        { key: "projectName", label: "Project", ref: PROJECT_REF },
+        { key: "projectId",   label: "Project ID" },
+        { key: "platform",    label: "Platform" },
+      ],
+    },
+    {
+      id: "idleUsers",
+      label: "Users in no projects",
+      description: "The account user is not a member of any project.",
+      columns: [
+        { key: "userName",    label: "User", ref: USER_REF },
+        { key: "email",       label: "Email" },
+        { key: "companyName", label: "Company" },
+        { key: "userId",      label: "User ID" },
+      ],
+    },
+    {
+      id: "projectsWithoutMembers",
+      label: "Projects with no members",
+      description: "Nobody is a member of the project.",
+      columns: [
+        { key: "projectName",  label: "Project", ref: PROJECT_REF },
+        { key: "projectId",    label: "Project ID" },
+        { key: "platform",     label: "Platform" },
+        { key: "status",       label: "Status" },
+        { key: "companyCount", label: "Companies", numeric: true },
+      ],
+    },
+    {
+      id: "projectsWithoutCompanies",
+      label: "Projects with no companies",
+      description: "No company is assigned to the project.",
+      columns: [
+        { key: "projectName", label: "Project", ref: PROJECT_REF },
+        { key: "projectId",   label: "Project ID" },
+        { key: "platform",    label: "Platform" },
+        { key: "status",      label: "Status" },
+        { key: "memberCount", label: "Members", numeric: true },
+      ],
+    },
+  ]);
+
+  function byText(key) {
+    return (a, b) => (a[key] || "").toLowerCase().localeCompare((b[key] || "").toLowerCase());
+  }
+
+  /**
+   * Run every check.
+   *
+   * @param {object} caches
+   * @param {object[]} caches.companiesCache
+   * @param {object[]} caches.projectsCache
+   * @param {object[]} caches.usersCache - lib/cache-builder.js buildUsersCache()
+   * @returns {object[]} the CHECKS, each with its `rows`
+   */
+  function analyze({ companiesCache, projectsCache, usersCache }) {
+    const companyNames = new Map(companiesCache.map((c) => [c.uuid, c.name]));
+    const rows = Object.fromEntries(CHECKS.map((check) => [check.id, []]));
+
+    for (const company of companiesCache) {
+      if ((company.users || []).length === 0) {
+        rows.emptyCompanies.push({
+          companyName:  company.name,
+          companyId:    company.uuid,
+          projectCount: (company.projects || []).length,
+        });
+      }
+    }
+
+    for (const project of projectsCache) {
+      const members = project.members || [];
+      const companies = project.companies || [];
+      const projectFields = {
+        projectName: project.name,
+        projectId:   project.uuid,
+        platform:    project.platform || "",
+        status:      project.status || "",
+      };
+
+      if (members.length === 0) rows.projectsWithoutMembers.push({ ...projectFields, companyCount: companies.length });
+      if (companies.length === 0) rows.projectsWithoutCompanies.push({ ...projectFields, memberCount: members.length });
+
+      const staffed = new Set(members.map((m) => m.companyId));
+      for (const company of companies) {
+        if (staffed.has(company.uuid)) continue;
+        rows.unstaffedAssignments.push({
+          companyName: company.name || companyNames.get(company.uuid) || "",
+          companyId:   company.uuid,
+          projectName: project.name,
+          projectId:   project.uuid,
+          platform:    project.platform || "",
+        });
+      }
+    }
+
+    for (const user of usersCache) {
+      // Project-only members (no account company) are on a project by definition
+      if (!user.companyId || user.projects.length > 0) continue;
+      rows.idleUsers.push({
+        userName:    user.name,
+        email:       user.email,
+        companyName: user.companyName,
+        userId:      user.uuid,
+      });
+    }
+
+    rows.emptyCompanies.sort(byText("companyName"));
+    rows.unstaffedAssignments.sort((a, b) => byText("companyName")(a, b) || byText("projectName")(a, b));
+    rows.idleUsers.sort(byText("userName"));
+    rows.projectsWithoutMembers.sort(byText("projectName"));
+    rows.projectsWithoutCompanies.sort(byText("projectName"));
+
+    return CHECKS.map((check) => ({ ...check, rows: rows[check.id] }));
+  }
+
+  return { CHECKS, analyze };
+})();
@@ -0,0 +1,191 @@
+// lib/profile-form.js - Profile picker and credentials form for the extension pages
+//
+// Requires: lib/aps-constants.js (MSG, APS_REGIONS), lib/secret-vault.js,
+//           lib/profiles.js (Profiles)
+//
+// Exposed as the global `ProfileForm` namespace. Used by popup.js and
+// options.js, which share the same markup: a profile <select> followed by
+// name / region / client ID / client secret / account ID fields and Save /
+// Delete buttons, plus an optional Test Connection button and result list.
+//
+// Stored client secrets are never shown: the secret field stays empty for a
+// saved profile and only a newly typed secret is saved (encrypted).
+
+const ProfileForm = (() => {
+  const NEW_PROFILE = "";
+
+  /**
+   * Wire the profile picker and form.
+   *
+   * @param {object}            els
+   * @param {HTMLSelectElement} els.select
+   * @param {HTMLInputElement}  els.name
+   * @param {HTMLSelectElement} els.region    - filled with APS_REGIONS here
+   * @param {HTMLInputElement}  els.clientId
+   * @param {HTMLInputElement}  els.clientSecret
+   * @param {HTMLInputElement}  els.accountId
+   * @param {HTMLButtonElement} els.saveBtn
+   * @param {HTMLButtonElement} els.deleteBtn
+   * @param {HTMLElement}       els.status
+   * @param {HTMLButtonElement} [els.testBtn]     - runs MSG.TEST_CONNECTION
+   * @param {HTMLUListElement}  [els.testResults] - one item per test step
+   * @param {object}   [options]
+   * @param {string}   [options.preferAccountId] - select this account's profile
+   *   (e.g. the account of the active ACC tab) instead of the active one, or
+   *   start a new profile for it when there is none
+   * @param {string}   [options.savedMessage]    - status text after saving
+   * @param {Function} [options.onSelect]        - called with the selected
+   *   account ID (or null for a new, unsaved profile) whenever it changes
+   * @param {Function} [options.onTest]          - called with the test steps
+   */
+  function attach(els, { preferAccountId, savedMessage = "Saved!", onSelect, onTest } = {}) {
+    let profiles = [];
+
+    for (const [key, { label }] of Object.entries(APS_REGIONS)) {
+      els.region.add(new Option(label, key));
+    }
+
+    function showStatus(text, isError) {
+      els.status.textContent = text;
+      els.status.className = isError ? "status error" : "status";
+    }
+
+    function fill(profile) {
+      els.name.value         = profile?.name         || "";
+      els.region.value       = profile?.region       || APS_DEFAULT_REGION;
+      els.clientId.value     = profile?.clientId     || "";
+      els.clientSecret.value = "";
+      showSecretPlaceholder(profile);
+      els.accountId.value    = profile?.accountId    || "";
+      // The account ID keys the profile's caches; another account is a new profile
+      els.accountId.disabled = Boolean(profile);
+      els.deleteBtn.hidden   = !profile;
+      if (els.testResults) els.testResults.textContent = "";
+    }
+
+    function showSecretPlaceholder(profile) {
+      els.clientSecret.placeholder = Profiles.hasSecret(profile)
+        ? "Saved (encrypted) — leave empty to keep"
+        : "e.g. xyz789...";
+    }
+
+    function selectedAccountId() {
+      return els.select.value || null;
+    }
+
+    async function load(accountId) {
+      profiles = await Profiles.list();
+      els.select.textContent = "";
+      for (const profile of profiles) {
+        els.select.add(new Option(profile.name, profile.accountId));
+      }
+      els.select.add(new Option("New profile…", NEW_PROFILE));
+
+      els.select.value = profiles.some((p) => p.accountId === accountId) ? accountId : NEW_PROFILE;
+      select();
+    }
+
+    function select() {
+      const accountId = selectedAccountId();
+      fill(profiles.find((p) => p.accountId === accountId));
+      if (accountId) Profiles.setActive(accountId);
+      if (onSelect) onSelect(accountId);
+    }
+
+    // Secrets are encrypted or dropped by VaultForm without a reload
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local" || !changes.profiles) return;
+      profiles = Object.values(changes.profiles.newValue || {});
+      showSecretPlaceholder(profiles.find((p) => p.accountId === selectedAccountId()));
+    });
+
+    els.select.addEventListener("change", () => {
+      showStatus("", false);
+      select();
+    });
+
+    els.saveBtn.addEventListener("click", async () => {
+      try {
+        const profile = await Profiles.save({
+          accountId:    els.accountId.value,
+          name:         els.name.value,
+          region:       els.region.value,
+          clientId:     els.clientId.value.trim(),
+          clientSecret: els.clientSecret.value.trim(),
+        });
+        await Profiles.setActive(profile.accountId);
+        await load(profile.accountId);
+        showStatus(savedMessage, false);
+      } catch (err) {
+        showStatus(err.message, true);
+      }
+    });
+
+    els.deleteBtn.addEventListener("click", () => {
+      const accountId = selectedAccountId();
+      const profile = profiles.find((p) => p.accountId === accountId);
+      if (!profile || !confirm(`Delete profile "${profile.name}" and its cached data?`)) return;
+
+      chrome.runtime.sendMessage({ type: MSG.DELETE_PROFILE, accountId }, async (response) => {
+        if (chrome.runtime.lastError || response?.error) {
+          showStatus(`Error: ${chrome.runtime.lastError?.message || response.error}`, true);
+          return;
+        }
+        await load(await Profiles.getActiveId());
+        showStatus(`Deleted "${profile.name}".`, false);
+      });
+    });
+
+    if (els.testBtn) {
+      els.testBtn.addEventListener("click", () => {
+        els.testBtn.disabled = true;
+        els.testResults.textContent = "";
+        showStatus("Testing connection...", false);
+
+        // Tests the form as typed, so credentials can be checked before saving
+        const credentials = {
+          accountId:    els.accountId.value,
+          region:       els.region.value,
+          clientId:     els.clientId.value.trim(),
+          clientSecret: els.clientSecret.value.trim(),
+        };
+        chrome.runtime.sendMessage({ type: MSG.TEST_CONNECTION, credentials }, (response) => {
+          els.testBtn.disabled = false;
+          if (chrome.runtime.lastError || response?.error) {
+            showStatus(`Error: ${chrome.runtime.lastError?.message || response.error}`, true);
+            return;
+          }
+          const failed = response.steps.some((step) => step.status === "fail");
+          showStatus(failed ? "Connection test failed." : "Connection test passed.", failed);
+          renderTestSteps(response.steps);
+          if (onTest) onTest(response.steps);
+        });
+      });
+    }
+
+    function renderTestSteps(steps) {
+      const icons = { pass: "✓", warn: "!", fail: "✗", skip: "–" };
+      for (const step of steps) {
+        const item = document.createElement("li");
+        item.className = `step-${step.status}`;
+        item.textContent = `${icons[step.status]} ${step.label}: ${step.detail}`;
+        if (step.hint) {
+          const hint = document.createElement("div");
+          hint.className = "step-hint";
+          hint.textContent = step.hint;
+          item.appendChild(hint);
+        }
+        els.testResults.appendChild(item);
+      }
+    }
+
+    (async () => {
+      if (!preferAccountId) return load(await Profiles.getActiveId());
+      await load(preferAccountId);
+      // No profile for this account yet: offer to create one for it
+      if (!selectedAccountId()) els.accountId.value = preferAccountId;
+    })();
+  }
+
+  return { attach };
+})();
@@ -0,0 +1,309 @@
+// lib/profiles.js - Named APS credential profiles, one per ACC account
+//
+// Requires: lib/aps-constants.js (APS_REGIONS, APS_DEFAULT_REGION, ACC_ACCOUNT_URL_PATTERN)
+//           lib/secret-vault.js   (SecretVault; only for save() and the
+//                                  secret functions, which content scripts
+//                                  never call)
+//
+// Exposed as the global `Profiles` namespace so it can be loaded in the
+// service worker (via importScripts) and the extension pages (popup.html,
+// options.html). Content scripts don't load it.
+//
+// Profiles are stored in chrome.storage.local as
+//   profiles        : { [accountId]: { accountId, name, region, clientId, encryptedSecret,
+//                                      pendingSecret, buildScope } }
+//   activeProfileId : account ID selected in the popup/options page
+//
+// `encryptedSecret` is the client secret sealed by SecretVault. A secret
+// migrated from an older version while no passphrase is set is never written
+// to chrome.storage.local: it waits in chrome.storage.session (`pendingSecrets`,
+// which content scripts can't read) with `pendingSecret: true` on the profile,
+// and the profile can't be used until sealPlaintextSecrets() encrypts it.
+// `buildScope` limits which projects cache builds cover (lib/build-scope.js);
+// it is missing or null when every project is built.
+//
+// The account ID is the profile key: caches (lib/cache-db.js), cache metadata
+// and tokens are all stored per account ID, so two profiles never share data.
+
+const Profiles = (() => {
+  const ACCOUNT_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+  /**
+   * Extract the ACC account ID from a URL, or null when it has none.
+   *
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function accountIdFromUrl(url) {
+    const match = (url || "").match(ACC_ACCOUNT_URL_PATTERN);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  async function readAll() {
+    const { profiles } = await chrome.storage.local.get(["profiles"]);
+    return profiles || {};
+  }
+
+  /**
+   * All profiles, sorted by name.
+   *
+   * @returns {Promise<object[]>}
+   */
+  async function list() {
+    return Object.values(await readAll()).sort((a, b) =>
+      (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase())
+    );
+  }
+
+  /**
+   * The profile for an account, or null.
+   *
+   * @param {string} accountId
+   * @returns {Promise<object|null>}
+   */
+  async function get(accountId) {
+    if (!accountId) return null;
+    return (await readAll())[accountId.toLowerCase()] || null;
+  }
+
+  async function put(profile) {
+    const profiles = await readAll();
+    profiles[profile.accountId] = profile;
+    await chrome.storage.local.set({ profiles });
+    return profile;
+  }
+
+  /**
+   * True when the profile has a client secret, encrypted or waiting to be.
+   *
+   * @param {object|null} profile
+   */
+  function hasSecret(profile) {
+    return Boolean(profile?.encryptedSecret || profile?.pendingSecret);
+  }
+
+  async function readPendingSecrets() {
+    const { pendingSecrets } = await chrome.storage.session.get(["pendingSecrets"]);
+    return pendingSecrets || {};
+  }
+
+  /**
+   * Create or update a profile. Missing names default to the account ID and
+   * missing regions to APS_DEFAULT_REGION. The client secret is encrypted
+   * with SecretVault, which must be unlocked; leave it empty to keep the
+   * profile's current secret.
+   *
+   * @param {{accountId: string, name?: string, region?: string, clientId: string, clientSecret?: string}} profile
+   * @returns {Promise<object>} the stored profile
+   * @throws {SecretVault.VaultLockedError} when a new secret can't be encrypted
+   */
+  async function save({ accountId, name, region, clientId, clientSecret }) {
+    const id = (accountId || "").trim().toLowerCase();
+    if (!ACCOUNT_ID_PATTERN.test(id)) throw new Error("Account ID must be a 36-character UUID.");
+    if (region && !APS_REGIONS[region]) throw new Error(`Unknown region: ${region}`);
+
+    const existing = (await readAll())[id];
+    if (!clientId || (!clientSecret && !hasSecret(existing))) {
+      throw new Error("Client ID and Client Secret are required.");
+    }
+
+    const profile = {
+      ...existing,
+      accountId: id,
+      name:      (name || "").trim() || id,
+      region:    region || existing?.region || APS_DEFAULT_REGION,
+      clientId,
+    };
+    if (clientSecret) {
+      profile.encryptedSecret = await SecretVault.encrypt(clientSecret);
+      delete profile.pendingSecret;
+    }
+    return put(profile);
+  }
+
+  /**
+   * Set which projects the account's cache builds cover.
+   *
+   * @param {string} accountId
+   * @param {object|null} buildScope - BuildScope.normalize()d; null for every project
+   * @returns {Promise<object>} the stored profile
+   */
+  async function setBuildScope(accountId, buildScope) {
+    const existing = await get(accountId);
+    if (!existing) throw new Error(`No profile for account ${accountId}.`);
+    return put({ ...existing, buildScope: buildScope || null });
+  }
+
+  /**
+   * The profile's client secret in plain text.
+   *
+   * @param {object} profile
+   * @returns {Promise<string>}
+   * @throws {SecretVault.VaultLockedError} when the vault is locked, or the
+   *   secret still waits for a passphrase to be encrypted
+   */
+  async function clientSecret(profile) {
+    if (profile.encryptedSecret) return SecretVault.decrypt(profile.encryptedSecret);
+    if (profile.pendingSecret && (await readPendingSecrets())[profile.accountId]) {
+      throw new SecretVault.VaultLockedError(
+        `Set a passphrase to encrypt the client secret of "${profile.name}" before it is used.`
+      );
+    }
+    throw new Error(`Profile "${profile.name}" has no client secret. Enter it in the extension options.`);
+  }
+
+  /**
+   * Encrypt the migrated secrets waiting in session storage. Call after the
+   * vault was set up or unlocked. Profiles whose waiting secret was lost to
+   * a browser restart lose the flag, so their secret is asked for again.
+   *
+   * @returns {Promise<number>} how many secrets were encrypted
+   */
+  async function sealPlaintextSecrets() {
+    const profiles = await readAll();
+    const pendingSecrets = await readPendingSecrets();
+    let sealed = 0;
+    let changed = false;
+    for (const profile of Object.values(profiles)) {
+      if (!profile.pendingSecret) continue;
+      const secret = pendingSecrets[profile.accountId];
+      if (secret) {
+        profile.encryptedSecret = await SecretVault.encrypt(secret);
+        sealed++;
+      }
+      delete profile.pendingSecret;
+      changed = true;
+    }
+    if (changed) await chrome.storage.local.set({ profiles });
+    await chrome.storage.session.remove("pendingSecrets");
+    return sealed;
+  }
+
+  /**
+   * Keep plain-text secrets out of chrome.storage.local: encrypt them right
+   * away when the vault is unlocked, else move them to session storage.
+   *
+   * @param {object} profiles - readAll() result, changed in place
+   * @param {{[accountId: string]: string}} secrets
+   */
+  async function protectSecrets(profiles, secrets) {
+    const unlocked = (await SecretVault.status()) === "unlocked";
+    const pendingSecrets = await readPendingSecrets();
+    for (const [accountId, secret] of Object.entries(secrets)) {
+      const profile = profiles[accountId];
+      delete profile.clientSecret;
+      if (unlocked) {
+        profile.encryptedSecret = await SecretVault.encrypt(secret);
+      } else {
+        profile.pendingSecret = true;
+        pendingSecrets[accountId] = secret;
+      }
+    }
+    if (!unlocked) await chrome.storage.session.set({ pendingSecrets });
+    await chrome.storage.local.set({ profiles });
+  }
+
+  /**
+   * Drop every encrypted secret, after the passphrase was reset. The
+   * profiles stay; their secrets have to be entered again.
+   */
+  async function forgetSecrets() {
+    const profiles = await readAll();
+    for (const profile of Object.values(profiles)) {
+      delete profile.encryptedSecret;
+      delete profile.pendingSecret;
+    }
+    await chrome.storage.local.set({ profiles });
+    await chrome.storage.session.remove("pendingSecrets");
+  }
+
+  /**
+   * Delete a profile's credentials. Its caches are removed by background.js
+   * (MSG.DELETE_PROFILE), which owns the cache storage.
+   *
+   * @param {string} accountId
+   */
+  async function remove(accountId) {
+    const profiles = await readAll();
+    delete profiles[accountId];
+    const { activeProfileId } = await chrome.storage.local.get(["activeProfileId"]);
+    await chrome.storage.local.set({ profiles });
+    if (activeProfileId === accountId) await chrome.storage.local.remove("activeProfileId");
+  }
+
+  /**
+   * The selected profile's account ID, falling back to the first profile.
+   *
+   * @returns {Promise<string|null>}
+   */
+  async function getActiveId() {
+    const { activeProfileId } = await chrome.storage.local.get(["activeProfileId"]);
+    const profiles = await readAll();
+    if (activeProfileId && profiles[activeProfileId]) return activeProfileId;
+    return (await list())[0]?.accountId || null;
+  }
+
+  /**
+   * @param {string} accountId
+   */
+  async function setActive(accountId) {
+    await chrome.storage.local.set({ activeProfileId: accountId });
+  }
+
+  /**
+   * Turn the single set of credentials stored by older versions
+   * (apsClientId / apsClientSecret / apsAccountId) into a profile, then drop
+   * the legacy keys. The secret goes through protectSecrets(), as do plain
+   * `clientSecret`s left on profiles by earlier versions, since the worker
+   * can't ask for a passphrase. Safe to call repeatedly.
+   *
+   * @returns {Promise<object|null>} the migrated profile, if any
+   */
+  async function migrateLegacy() {
+    const legacy = await chrome.storage.local.get(["apsClientId", "apsClientSecret", "apsAccountId"]);
+    const profiles = await readAll();
+    const secrets = {};
+    for (const existing of Object.values(profiles)) {
+      if (existing.clientSecret) secrets[existing.accountId] = existing.clientSecret;
+    }
+
+    let profile = null;
+    const accountId = (legacy.apsAccountId || "").trim().toLowerCase();
+    if (legacy.apsClientId && legacy.apsClientSecret && legacy.apsAccountId) {
+      if (!ACCOUNT_ID_PATTERN.test(accountId)) throw new Error("Account ID must be a 36-character UUID.");
+      profile = profiles[accountId] = {
+        accountId,
+        name:     "Default",
+        region:   APS_DEFAULT_REGION,
+        clientId: legacy.apsClientId,
+      };
+      secrets[accountId] = legacy.apsClientSecret;
+    }
+
+    if (Object.keys(secrets).length) await protectSecrets(profiles, secrets);
+    else if (profile) await chrome.storage.local.set({ profiles });
+    if (profile && !(await chrome.storage.local.get(["activeProfileId"])).activeProfileId) {
+      await setActive(profile.accountId);
+    }
+    if (legacy.apsClientId || legacy.apsClientSecret || legacy.apsAccountId) {
+      await chrome.storage.local.remove(["apsClientId", "apsClientSecret", "apsAccountId"]);
+    }
+    return profile;
+  }
+
+  return {
+    accountIdFromUrl,
+    list,
+    get,
+    hasSecret,
+    save,
+    setBuildScope,
+    clientSecret,
+    sealPlaintextSecrets,
+    forgetSecrets,
+    remove,
+    getActiveId,
+    setActive,
+    migrateLegacy,
+  };
+})();
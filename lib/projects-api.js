@@ -1,42 +1,31 @@
 // lib/projects-api.js - Project-related APS API calls
 // mirrors acc/admin.py project management functions
 //
-// Requires: lib/aps-constants.js (APS_BASE_URL)
+// Requires: lib/aps-constants.js (APS_BASE_URL), lib/aps-client.js (ApsClient)
 //
 // Exposed as the global `ProjectsAPI` namespace so it can be loaded in both
 // the service worker (via importScripts) and content scripts (via manifest).
+// Every fetcher takes a trailing `{ region }` ("US", "EMEA" or "AUS").
 
 const ProjectsAPI = (() => {
   /**
-   * Fetch all account projects across all statuses and platforms,
-   * paginating through all results.
+   * Fetch all account projects, paginating through all results. Every
+   * status and platform is returned unless `filters` narrows them down.
    * mirrors acc/admin.py getActiveProjects()
    *
    * @param {string} token     - bearer token
    * @param {string} accountId - APS account UUID
+   * @param {{region?: string, filters?: object}} [options] - `filters` are
+   *   query parameters such as { "filter[status]": "active,archived" }
+   *   (see BuildScope.apiFilters())
    * @returns {Promise<object[]>}
    */
-  async function fetchAll(token, accountId) {
-    const projects = [];
-    let offset = 0;
-    const limit = 200;
-
-    while (true) {
-      const url = `${APS_BASE_URL}/construction/admin/v1/accounts/${accountId}/projects?offset=${offset}&limit=${limit}`;
-      const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-      if (!resp.ok) {
-        const body = await resp.text().catch(() => "");
-        throw new Error(`API ${resp.status} — projects: ${body}`);
-      }
-      const payload = await resp.json();
-      const batch = payload.results || payload;
-      if (!Array.isArray(batch) || batch.length === 0) break;
-      projects.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-
-    return projects;
+  async function fetchAll(token, accountId, { region, filters } = {}) {
+    return ApsClient.paginateResults(
+      token,
+      `${APS_BASE_URL}/construction/admin/v1/accounts/${accountId}/projects`,
+      { limit: 200, label: "projects", query: filters, headers: ApsClient.regionHeaders(region) }
+    );
   }
 
   return { fetchAll };
@@ -0,0 +1,192 @@
+// lib/secret-vault.js - Passphrase encryption for stored APS client secrets
+//
+// Requires: nothing (WebCrypto and chrome.storage only)
+//
+// Exposed as the global `SecretVault` namespace so it can be loaded in the
+// service worker (via importScripts) and the extension pages (popup.html,
+// options.html). Content scripts never load it: they can't read the unlocked
+// key (see below) and only receive tokens through MSG.GET_TOKEN.
+//
+// Secrets are encrypted with AES-GCM under a key derived from the user's
+// passphrase with PBKDF2. Storage:
+//   chrome.storage.local   vault    : { salt, iterations, check } - `check` is
+//                                      a known value sealed with the key, used
+//                                      to reject a wrong passphrase
+//   chrome.storage.session vaultKey : the unlocked key (raw, base64)
+//
+// Session storage is kept in memory and cleared when the browser closes, so
+// the passphrase is asked once per browser session, and at its default access
+// level it is readable only by the worker and the extension pages.
+
+const SecretVault = (() => {
+  const PBKDF2_ITERATIONS = 310000;
+  const CHECK_VALUE = "acc-enhancer-vault";
+
+  /** Thrown when a secret is needed while no key is unlocked. */
+  class VaultLockedError extends Error {
+    constructor(message) { super(message); this.name = "VaultLockedError"; }
+  }
+
+  // ── Encoding ─────────────────────────────────────────────────────────
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  // ── Keys ─────────────────────────────────────────────────────────────
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      true, // exported to session storage on unlock
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function storeKey(key) {
+    const raw = await crypto.subtle.exportKey("raw", key);
+    await chrome.storage.session.set({ vaultKey: toBase64(raw) });
+  }
+
+  async function unlockedKey() {
+    const { vaultKey } = await chrome.storage.session.get(["vaultKey"]);
+    if (!vaultKey) return null;
+    return crypto.subtle.importKey("raw", fromBase64(vaultKey), "AES-GCM", false, ["encrypt", "decrypt"]);
+  }
+
+  async function seal(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async function open(key, sealed) {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(sealed.iv) },
+      key,
+      fromBase64(sealed.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────
+
+  /**
+   * "unset" before a passphrase was chosen, else "locked" or "unlocked".
+   *
+   * @returns {Promise<"unset"|"locked"|"unlocked">}
+   */
+  async function status() {
+    const { vault } = await chrome.storage.local.get(["vault"]);
+    if (!vault) return "unset";
+    const { vaultKey } = await chrome.storage.session.get(["vaultKey"]);
+    return vaultKey ? "unlocked" : "locked";
+  }
+
+  /**
+   * Choose the passphrase and unlock with it. Refuses to replace an existing
+   * vault, whose secrets would become unreadable; use reset() for that.
+   *
+   * @param {string} passphrase
+   */
+  async function setup(passphrase) {
+    if (!passphrase) throw new Error("Enter a passphrase.");
+    if ((await status()) !== "unset") throw new Error("A passphrase is already set.");
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    await chrome.storage.local.set({
+      vault: { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, check: await seal(key, CHECK_VALUE) },
+    });
+    await storeKey(key);
+  }
+
+  /**
+   * Unlock for the rest of the browser session.
+   *
+   * @param {string} passphrase
+   * @throws {Error} on a wrong passphrase
+   */
+  async function unlock(passphrase) {
+    const { vault } = await chrome.storage.local.get(["vault"]);
+    if (!vault) throw new Error("No passphrase has been set.");
+
+    const key = await deriveKey(passphrase || "", fromBase64(vault.salt), vault.iterations);
+    const check = await open(key, vault.check).catch(() => null);
+    if (check !== CHECK_VALUE) throw new Error("Wrong passphrase.");
+    await storeKey(key);
+  }
+
+  async function lock() {
+    await chrome.storage.session.remove("vaultKey");
+  }
+
+  /**
+   * Forget the passphrase. Secrets sealed with it can no longer be read, so
+   * callers must drop them too (Profiles.forgetSecrets()).
+   */
+  async function reset() {
+    await chrome.storage.local.remove("vault");
+    await lock();
+  }
+
+  /**
+   * Encrypt a secret with the unlocked key.
+   *
+   * @param {string} text
+   * @returns {Promise<{iv: string, data: string}>}
+   * @throws {VaultLockedError}
+   */
+  async function encrypt(text) {
+    const key = await unlockedKey();
+    if (!key) {
+      throw new VaultLockedError(
+        (await status()) === "unset"
+          ? "Set a passphrase first; it is used to encrypt the client secret."
+          : "Unlock with your passphrase first."
+      );
+    }
+    return seal(key, text);
+  }
+
+  /**
+   * Decrypt a secret sealed by encrypt().
+   *
+   * @param {{iv: string, data: string}} sealed
+   * @returns {Promise<string>}
+   * @throws {VaultLockedError}
+   */
+  async function decrypt(sealed) {
+    const key = await unlockedKey();
+    if (!key) {
+      throw new VaultLockedError(
+        "The client secret is locked. Open the extension popup and enter your passphrase."
+      );
+    }
+    return open(key, sealed);
+  }
+
+  return {
+    VaultLockedError,
+    status,
+    setup,
+    unlock,
+    lock,
+    reset,
+    encrypt,
+    decrypt,
+  };
+})();
@@ -0,0 +1,167 @@
+// lib/throttle.js - Rate-limit-aware fetch and adaptive worker pool
+//
+// Requires: nothing (load before the *-api.js modules)
+//
+// Exposed as the global `Throttle` namespace so it can be loaded in both
+// the service worker (via importScripts) and content scripts (via manifest).
+
+const Throttle = (() => {
+  const MAX_RETRIES      = 4;
+  const BASE_BACKOFF_MS  = 1000;
+  const MAX_BACKOFF_MS   = 60 * 1000;
+  const IDLE_LANE_MS     = 250;  // how often a parked pool lane re-checks the limit
+  const RECOVER_AFTER    = 10;   // successes in a row before a pool widens by one lane
+
+  // Notified with the wait (ms) whenever APS answers 429, so pools can back off
+  const throttleListeners = new Set();
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Exponential backoff with jitter: ~1s, 2s, 4s, 8s... capped at 60s.
+   */
+  function backoffMs(attempt) {
+    const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    return exp / 2 + Math.random() * (exp / 2);
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date) into ms.
+   * Returns null when absent or unparseable.
+   */
+  function retryAfterMs(resp) {
+    const header = resp.headers.get("Retry-After");
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Subscribe to 429 events. Returns an unsubscribe function.
+   *
+   * @param {Function} listener - callback(waitMs)
+   * @returns {Function}
+   */
+  function onThrottled(listener) {
+    throttleListeners.add(listener);
+    return () => throttleListeners.delete(listener);
+  }
+
+  /**
+   * fetch() that retries transient failures:
+   *   - 429: waits for Retry-After (or backoff) and notifies onThrottled listeners
+   *   - 5xx and network errors: exponential backoff
+   * The last response is returned as-is once retries are exhausted, so callers
+   * keep their own status handling.
+   *
+   * @param {string} url
+   * @param {object} [init]              - fetch init
+   * @param {object} [options]
+   * @param {number} [options.retries]   - max retries (default 4)
+   * @returns {Promise<Response>}
+   */
+  async function fetchWithRetry(url, init, { retries = MAX_RETRIES } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let resp;
+      try {
+        resp = await fetch(url, init);
+      } catch (err) {
+        if (attempt >= retries) throw err;
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+
+      if (resp.status === 429 && attempt < retries) {
+        const wait = retryAfterMs(resp) ?? backoffMs(attempt);
+        for (const listener of throttleListeners) listener(wait);
+        console.warn(`ACC Enhancer: throttled by APS, retrying in ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      if (resp.status >= 500 && attempt < retries) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+
+      return resp;
+    }
+  }
+
+  /**
+   * Run `worker(item, index)` over every item with at most `concurrency`
+   * calls in flight.
+   *
+   * Throughput adapts to APS throttling: every 429 halves the number of active
+   * lanes and pauses new work until Retry-After has elapsed; lanes are added
+   * back one at a time after RECOVER_AFTER consecutive successes.
+   * The first worker error stops the pool; it is re-thrown once the workers
+   * already in flight have settled, and no onSettled() fires after it.
+   *
+   * @param {any[]}    items
+   * @param {Function} worker                 - async (item, index) => value
+   * @param {object}   [options]
+   * @param {number}   [options.concurrency]  - max parallel workers (default 4)
+   * @param {Function} [options.onSettled]    - callback(item, index, completed, value)
+   * @returns {Promise<void>}
+   */
+  async function runPool(items, worker, { concurrency = 4, onSettled } = {}) {
+    const maxLanes = Math.max(1, Math.min(concurrency, items.length));
+    const state = { limit: maxLanes, pausedUntil: 0, streak: 0, failed: false, error: null };
+    let next = 0;
+    let completed = 0;
+
+    const unsubscribe = onThrottled((waitMs) => {
+      state.limit = Math.max(1, Math.floor(state.limit / 2));
+      state.streak = 0;
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+    });
+
+    async function lane(laneIndex) {
+      while (!state.failed && next < items.length) {
+        const pause = state.pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause);
+          continue;
+        }
+        if (laneIndex >= state.limit) {
+          await sleep(IDLE_LANE_MS);
+          continue;
+        }
+
+        const index = next++;
+        let value;
+        try {
+          value = await worker(items[index], index);
+        } catch (err) {
+          if (!state.failed) {
+            state.failed = true;
+            state.error = err;
+          }
+          return;
+        }
+        if (state.failed) return;
+
+        completed++;
+        if (++state.streak >= RECOVER_AFTER && state.limit < maxLanes) {
+          state.limit++;
+          state.streak = 0;
+        }
+        if (onSettled) onSettled(items[index], index, completed, value);
+      }
+    }
+
+    try {
+      await Promise.all(Array.from({ length: maxLanes }, (_, i) => lane(i)));
+    } finally {
+      unsubscribe();
+    }
+    if (state.failed) throw state.error;
+  }
+
+  return { fetchWithRetry, onThrottled, runPool, sleep };
+})();
@@ -1,10 +1,11 @@
 // lib/users-api.js - User-related APS API calls
 // mirrors acc/admin.py user management functions
 //
-// Requires: lib/aps-constants.js (APS_BASE_URL)
+// Requires: lib/aps-constants.js (APS_BASE_URL), lib/aps-client.js (ApsClient)
 //
 // Exposed as the global `UsersAPI` namespace so it can be loaded in both
 // the service worker (via importScripts) and content scripts (via manifest).
+// Every fetcher takes a trailing `{ region }` ("US", "EMEA" or "AUS").
 
 const UsersAPI = (() => {
   /**
@@ -25,63 +26,52 @@ const UsersAPI = (() => {
    *
    * @param {string} token     - bearer token
    * @param {string} accountId - APS account UUID
+   * @param {{region?: string}} [options]
    * @returns {Promise<object[]>}
    */
-  async function fetchAll(token, accountId) {
-    const users = [];
-    let offset = 0;
-    const limit = 100;
-
-    while (true) {
-      const url = `${APS_BASE_URL}/hq/v1/accounts/${accountId}/users?limit=${limit}&offset=${offset}`;
-      const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-      if (!resp.ok) {
-        const body = await resp.text().catch(() => "");
-        throw new Error(`API ${resp.status} — users: ${body}`);
-      }
-      const batch = await resp.json();
-      if (!Array.isArray(batch) || batch.length === 0) break;
-      users.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-
-    return users;
+  async function fetchAll(token, accountId, { region } = {}) {
+    return ApsClient.paginateArray(token, ApsClient.hqUrl(region, `/accounts/${accountId}/users`), {
+      limit: 100,
+      label: "users",
+      headers: ApsClient.regionHeaders(region),
+    });
   }
 
   /**
    * Fetch all members of a specific project, paginating through all results.
+   * Throws an ApsClient error if any page fails, so callers never see a
+   * silently truncated member list.
    * mirrors acc/admin.py getProjectMemberCount() / _get_project_users_page()
    *
    * @param {string} token     - bearer token
    * @param {string} projectId - project UUID
+   * @param {{region?: string}} [options]
    * @returns {Promise<object[]>}
    */
-  async function fetchProjectUsers(token, projectId) {
-    const users = [];
-    let offset = 0;
-    const limit = 100;
-
-    while (true) {
-      const url = `${APS_BASE_URL}/construction/admin/v1/projects/${projectId}/users?offset=${offset}&limit=${limit}`;
-      try {
-        const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-        if (!resp.ok) break;
-        const payload = await resp.json();
-        const results = payload.results || [];
-        if (!Array.isArray(results) || results.length === 0) break;
-        users.push(...results);
-        const total = (payload.pagination || {}).totalResults;
-        offset += results.length;
-        if (total != null && offset >= total) break;
-        if (results.length < limit) break;
-      } catch {
-        break;
-      }
-    }
+  async function fetchProjectUsers(token, projectId, { region } = {}) {
+    return ApsClient.paginateResults(
+      token,
+      `${APS_BASE_URL}/construction/admin/v1/projects/${projectId}/users`,
+      { limit: 100, label: "project users", headers: ApsClient.regionHeaders(region) }
+    );
+  }
 
-    return users;
+  /**
+   * Fetch every project a user is a member of, paginating through all results.
+   *
+   * @param {string} token     - bearer token
+   * @param {string} accountId - APS account UUID
+   * @param {string} userId    - ACC user UUID (the `id` of fetchAll() users)
+   * @param {{region?: string}} [options]
+   * @returns {Promise<object[]>}
+   */
+  async function fetchUserProjects(token, accountId, userId, { region } = {}) {
+    return ApsClient.paginateResults(
+      token,
+      `${APS_BASE_URL}/construction/admin/v1/accounts/${accountId}/users/${userId}/projects`,
+      { limit: 200, label: "user projects", headers: ApsClient.regionHeaders(region) }
+    );
   }
 
-  return { displayUserName, fetchAll, fetchProjectUsers };
+  return { displayUserName, fetchAll, fetchProjectUsers, fetchUserProjects };
 })();
@@ -0,0 +1,93 @@
+// lib/vault-form.js - Passphrase set-up / unlock controls for the extension pages
+//
+// Requires: lib/secret-vault.js (SecretVault), lib/profiles.js (Profiles)
+//
+// Exposed as the global `VaultForm` namespace. Used by popup.js and
+// options.js, which share the same markup: a status line, passphrase and
+// confirmation inputs, and Unlock / Lock / Forgot buttons.
+
+const VaultForm = (() => {
+  /**
+   * Wire the passphrase controls.
+   *
+   * @param {object}            els
+   * @param {HTMLElement}       els.status
+   * @param {HTMLInputElement}  els.passphrase
+   * @param {HTMLInputElement}  els.confirm   - only shown when setting up
+   * @param {HTMLButtonElement} els.unlockBtn - "Set Passphrase" or "Unlock"
+   * @param {HTMLButtonElement} els.lockBtn
+   * @param {HTMLButtonElement} els.resetBtn
+   */
+  function attach(els) {
+    let state = null;
+
+    function showStatus(text, isError) {
+      els.status.textContent = text;
+      els.status.className = isError ? "status error" : "status";
+    }
+
+    async function render() {
+      state = await SecretVault.status();
+      const unlocked = state === "unlocked";
+
+      els.passphrase.hidden = unlocked;
+      els.confirm.hidden    = state !== "unset";
+      els.unlockBtn.hidden  = unlocked;
+      els.lockBtn.hidden    = !unlocked;
+      els.resetBtn.hidden   = state !== "locked";
+      els.unlockBtn.textContent = state === "unset" ? "Set Passphrase" : "Unlock";
+
+      const hasPending = (await Profiles.list()).some((p) => p.pendingSecret);
+      showStatus(
+        {
+          unset: hasPending
+            ? "Choose a passphrase to encrypt your client secret. Until then it can't be used, and it is kept only until the browser closes."
+            : "Choose a passphrase to encrypt client secrets before saving a profile.",
+          locked:   "Client secrets are locked. Enter your passphrase once for this browser session.",
+          unlocked: "Client secrets are unlocked until the browser closes.",
+        }[state],
+        false
+      );
+    }
+
+    els.unlockBtn.addEventListener("click", async () => {
+      const passphrase = els.passphrase.value;
+      try {
+        if (state === "unset") {
+          if (passphrase !== els.confirm.value) throw new Error("The passphrases don't match.");
+          await SecretVault.setup(passphrase);
+        } else {
+          await SecretVault.unlock(passphrase);
+        }
+        await Profiles.sealPlaintextSecrets();
+        els.passphrase.value = "";
+        els.confirm.value = "";
+        await render();
+      } catch (err) {
+        showStatus(err.message, true);
+      }
+    });
+
+    els.passphrase.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && state !== "unset") els.unlockBtn.click();
+    });
+
+    els.lockBtn.addEventListener("click", async () => {
+      await SecretVault.lock();
+      await render();
+    });
+
+    els.resetBtn.addEventListener("click", async () => {
+      if (!confirm("Forget the passphrase? The client secrets of all profiles are deleted and must be entered again.")) {
+        return;
+      }
+      await SecretVault.reset();
+      await Profiles.forgetSecrets();
+      await render();
+    });
+
+    render();
+  }
+
+  return { attach };
+})();
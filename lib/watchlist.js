@@ -0,0 +1,147 @@
+// lib/watchlist.js - Watched companies, projects and users, per account
+//
+// Requires: nothing
+//
+// Exposed as the global `Watchlist` namespace. Loaded by the service worker
+// (via importScripts) and the options page; content scripts add and remove
+// entries through MSG.GET_WATCHLIST / MSG.SET_WATCHED so the account is
+// resolved the same way as for cache lookups.
+//
+// Stored in chrome.storage.local as
+//   watchlist : { [accountId]: [{ type, uuid, name }] }
+// where `type` is "companies", "projects" or "users" (the dashboard tabs).
+//
+// notificationsFor() matches a lib/cache-history.js diff against the
+// entries; background.js raises one chrome notification per watched record
+// that changed after a scheduled build.
+
+const Watchlist = (() => {
+  const TYPES = Object.freeze(["companies", "projects", "users"]);
+  const MAX_LINES = 4; // change lines per notification before "and N more"
+
+  async function readAll() {
+    const { watchlist } = await chrome.storage.local.get(["watchlist"]);
+    return watchlist || {};
+  }
+
+  /**
+   * An account's watched records, sorted by type then name.
+   *
+   * @param {string} accountId
+   * @returns {Promise<{type: string, uuid: string, name: string}[]>}
+   */
+  async function list(accountId) {
+    return ((await readAll())[accountId] || []).slice().sort((a, b) =>
+      TYPES.indexOf(a.type) - TYPES.indexOf(b.type) ||
+      (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase())
+    );
+  }
+
+  /**
+   * Watch or unwatch a record.
+   *
+   * @param {string} accountId
+   * @param {{type: string, uuid: string, name?: string}} entry
+   * @param {boolean} watched
+   * @returns {Promise<void>}
+   */
+  async function setWatched(accountId, { type, uuid, name }, watched) {
+    if (!TYPES.includes(type)) throw new Error(`Unknown watchlist type "${type}".`);
+    if (!uuid) throw new Error("Nothing to watch: the record has no ID.");
+
+    const watchlist = await readAll();
+    const entries = (watchlist[accountId] || []).filter((e) => !(e.type === type && e.uuid === uuid));
+    if (watched) entries.push({ type, uuid, name: name || "" });
+
+    if (entries.length) {
+      watchlist[accountId] = entries;
+    } else {
+      delete watchlist[accountId];
+    }
+    await chrome.storage.local.set({ watchlist });
+  }
+
+  /**
+   * Forget every watched record of an account (its profile was deleted).
+   *
+   * @param {string} accountId
+   * @returns {Promise<void>}
+   */
+  async function clear(accountId) {
+    const watchlist = await readAll();
+    if (!watchlist[accountId]) return;
+    delete watchlist[accountId];
+    await chrome.storage.local.set({ watchlist });
+  }
+
+  function names(people) {
+    return people.map((p) => p.label).join(", ");
+  }
+
+  /**
+   * The changes of a diff that concern watched records, one notification
+   * per record.
+   *
+   * A watched project reports its members and its archiving or removal; a
+   * watched company reports the users who joined or left it, its people
+   * added to or removed from projects, and its removal; a watched user
+   * reports their company and project changes.
+   *
+   * @param {object} diff - lib/cache-history.js diff()
+   * @param {object[]} entries - list()
+   * @returns {{type: string, uuid: string, title: string, message: string}[]}
+   */
+  function notificationsFor(diff, entries) {
+    const lines = new Map(); // "type:uuid" → change lines
+    const watched = new Map(entries.map((e) => [`${e.type}:${e.uuid}`, e]));
+    const note = (type, uuid, line) => {
+      const key = `${type}:${uuid}`;
+      if (watched.has(key)) (lines.get(key) || lines.set(key, []).get(key)).push(line);
+    };
+
+    for (const project of diff.projectsArchived) note("projects", project.uuid, "Archived");
+    for (const project of diff.projectsRemoved) note("projects", project.uuid, "Removed from the account");
+    for (const company of diff.companiesRemoved) note("companies", company.uuid, "Removed from the account");
+
+    const memberChanges = [
+      { projects: diff.membersAdded,   heading: "Added",   verb: "added to" },
+      { projects: diff.membersRemoved, heading: "Removed", verb: "removed from" },
+    ];
+    for (const { projects, heading, verb } of memberChanges) {
+      const userVerb = verb[0].toUpperCase() + verb.slice(1);
+      for (const project of projects) {
+        note("projects", project.uuid, `${heading}: ${names(project.people)}`);
+        const byCompany = new Map();
+        for (const person of project.people) {
+          note("users", person.uuid, `${userVerb} project ${project.name}`);
+          if (!person.companyId) continue;
+          (byCompany.get(person.companyId) || byCompany.set(person.companyId, []).get(person.companyId)).push(person);
+        }
+        for (const [companyId, people] of byCompany) {
+          note("companies", companyId, `${names(people)} ${verb} project ${project.name}`);
+        }
+      }
+    }
+
+    const userChanges = [
+      { companies: diff.usersAdded,   verb: "joined" },
+      { companies: diff.usersRemoved, verb: "left" },
+    ];
+    for (const { companies, verb } of userChanges) {
+      const userVerb = verb[0].toUpperCase() + verb.slice(1);
+      for (const company of companies) {
+        note("companies", company.uuid, `${names(company.people)} ${verb} the company`);
+        for (const person of company.people) note("users", person.uuid, `${userVerb} company ${company.name}`);
+      }
+    }
+
+    return [...lines].map(([key, changes]) => {
+      const entry = watched.get(key);
+      const shown = changes.slice(0, MAX_LINES);
+      if (changes.length > MAX_LINES) shown.push(`…and ${changes.length - MAX_LINES} more`);
+      return { type: entry.type, uuid: entry.uuid, title: `Watched: ${entry.name || entry.uuid}`, message: shown.join("\n") };
+    });
+  }
+
+  return { TYPES, list, setWatched, clear, notificationsFor };
+})();
@@ -0,0 +1,12 @@
+// offscreen.js - Offscreen document answering background.js's battery
+// status question (service workers have no Battery Status API). Created and
+// closed around each check by background.js onBatteryPower().
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg.type !== MSG.GET_BATTERY_STATUS) return;
+  navigator
+    .getBattery()
+    .then((battery) => sendResponse({ charging: battery.charging, level: battery.level }))
+    .catch((err) => sendResponse({ error: err.message }));
+  return true;
+});
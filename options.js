@@ -1,45 +1,206 @@
 // options.js - Save/load APS credentials and manage companies cache
 
 document.addEventListener("DOMContentLoaded", () => {
-  // Load saved values
-  chrome.storage.local.get(
-    ["apsClientId", "apsClientSecret", "apsAccountId"],
-    (data) => {
-      if (data.apsClientId) document.getElementById("clientId").value = data.apsClientId;
-      if (data.apsClientSecret) document.getElementById("clientSecret").value = data.apsClientSecret;
-      if (data.apsAccountId) document.getElementById("accountId").value = data.apsAccountId;
-    }
-  );
+  // ── Profiles ──────────────────────────────────────────────────────────
 
-  document.getElementById("save").addEventListener("click", () => {
-    const clientId = document.getElementById("clientId").value.trim();
-    const clientSecret = document.getElementById("clientSecret").value.trim();
-    const accountId = document.getElementById("accountId").value.trim();
-    const statusEl = document.getElementById("status");
+  let selectedAccountId = null;
+  let connectionPassed = false; // last Test Connection had no failed step
 
-    if (!clientId || !clientSecret || !accountId) {
-      statusEl.textContent = "All fields are required.";
-      statusEl.className = "status error";
-      return;
-    }
+  function profileElements() {
+    return {
+      select:       document.getElementById("profileSelect"),
+      name:         document.getElementById("profileName"),
+      region:       document.getElementById("region"),
+      clientId:     document.getElementById("clientId"),
+      clientSecret: document.getElementById("clientSecret"),
+      accountId:    document.getElementById("accountId"),
+      saveBtn:      document.getElementById("save"),
+      deleteBtn:    document.getElementById("deleteProfile"),
+      status:       document.getElementById("status"),
+      testBtn:      document.getElementById("testConnection"),
+      testResults:  document.getElementById("testResults"),
+    };
+  }
 
-    chrome.storage.local.set(
-      { apsClientId: clientId, apsClientSecret: clientSecret, apsAccountId: accountId },
-      () => {
-        statusEl.textContent = "Saved! Reload the ACC page to use the new credentials.";
-        statusEl.className = "status";
-      }
-    );
+  // ── Passphrase ────────────────────────────────────────────────────────
+
+  VaultForm.attach({
+    status:     document.getElementById("vaultStatus"),
+    passphrase: document.getElementById("passphrase"),
+    confirm:    document.getElementById("passphraseConfirm"),
+    unlockBtn:  document.getElementById("unlockVault"),
+    lockBtn:    document.getElementById("lockVault"),
+    resetBtn:   document.getElementById("resetVault"),
+  });
+
+  // ── Authentication ────────────────────────────────────────────────────
+
+  const useSessionEl = document.getElementById("useSession");
+
+  chrome.storage.local.get(["authMode"], (data) => {
+    useSessionEl.checked = data.authMode === AUTH_MODE.SESSION;
+  });
+
+  useSessionEl.addEventListener("change", () => {
+    chrome.storage.local.set({
+      authMode: useSessionEl.checked ? AUTH_MODE.SESSION : AUTH_MODE.CREDENTIALS,
+    });
   });
 
   // ── Cache Management ──────────────────────────────────────────────────
 
   const cacheInfoEl = document.getElementById("cacheInfo");
   const buildCacheBtn = document.getElementById("buildCache");
+  const fullRebuildBtn = document.getElementById("fullRebuild");
   const cacheProgressEl = document.getElementById("cacheProgress");
 
-  // Show current cache status
-  loadCacheStatus();
+  const concurrencyEl = document.getElementById("buildConcurrency");
+
+  ProfileForm.attach(profileElements(), {
+    savedMessage: "Saved! Reload the ACC page to use the new credentials.",
+    onSelect: (accountId) => {
+      selectedAccountId = accountId;
+      loadCacheStatus();
+      loadBuildReport();
+      loadCacheHistory();
+      loadWatchlist();
+      loadBuildScope();
+    },
+    onTest: (steps) => {
+      connectionPassed = !steps.some((step) => step.status === "fail");
+    },
+  });
+
+  BuildProgress.attach(
+    {
+      container: document.getElementById("buildProgress"),
+      bar:       document.getElementById("buildProgressBar"),
+      stats:     document.getElementById("buildProgressStats"),
+      pauseBtn:  document.getElementById("pauseBuild"),
+      cancelBtn: document.getElementById("cancelBuild"),
+    },
+    () => {
+      loadCacheStatus();
+      loadBuildReport();
+      loadCacheHistory();
+    }
+  );
+
+  chrome.storage.local.get(["cacheBuildConcurrency"], (data) => {
+    concurrencyEl.value = data.cacheBuildConcurrency || CACHE_BUILD_CONCURRENCY;
+  });
+
+  concurrencyEl.addEventListener("change", () => {
+    const value = Math.min(16, Math.max(1, parseInt(concurrencyEl.value, 10) || CACHE_BUILD_CONCURRENCY));
+    concurrencyEl.value = value;
+    chrome.storage.local.set({ cacheBuildConcurrency: value });
+  });
+
+  // ── Build Scope ───────────────────────────────────────────────────────
+
+  const scopeEls = {
+    statuses:  document.getElementById("scopeStatuses"),
+    platforms: document.getElementById("scopePlatforms"),
+    types:     document.getElementById("scopeTypes"),
+    include:   document.getElementById("scopeInclude"),
+    exclude:   document.getElementById("scopeExclude"),
+    save:      document.getElementById("saveScope"),
+    info:      document.getElementById("scopeInfo"),
+  };
+
+  function tickedValues(fieldset) {
+    return [...fieldset.querySelectorAll("input:checked")].map((input) => input.value);
+  }
+
+  function showBuildScope(scope) {
+    for (const input of scopeEls.statuses.querySelectorAll("input")) {
+      input.checked = Boolean(scope?.statuses.includes(input.value));
+    }
+    for (const input of scopeEls.platforms.querySelectorAll("input")) {
+      input.checked = Boolean(scope?.platforms.includes(input.value));
+    }
+    scopeEls.types.value = (scope?.types || []).join(", ");
+    scopeEls.include.value = (scope?.include || []).join("\n");
+    scopeEls.exclude.value = (scope?.exclude || []).join("\n");
+  }
+
+  async function loadBuildScope() {
+    scopeEls.save.disabled = !selectedAccountId;
+    scopeEls.info.textContent = "";
+    const profile = selectedAccountId ? await Profiles.get(selectedAccountId) : null;
+    showBuildScope(BuildScope.normalize(profile?.buildScope));
+  }
+
+  scopeEls.save.addEventListener("click", async () => {
+    const scope = BuildScope.normalize({
+      statuses:  tickedValues(scopeEls.statuses),
+      platforms: tickedValues(scopeEls.platforms),
+      types:     scopeEls.types.value.split(","),
+      include:   scopeEls.include.value.split("\n"),
+      exclude:   scopeEls.exclude.value.split("\n"),
+    });
+    try {
+      const before = (await Profiles.get(selectedAccountId))?.buildScope;
+      await Profiles.setBuildScope(selectedAccountId, scope);
+      showBuildScope(scope);
+      // background.js rebuilds the cache when a profile's scope changes
+      scopeEls.info.textContent = BuildScope.equals(before, scope)
+        ? `Saved: builds cover ${BuildScope.describe(scope)}.`
+        : `Saved: builds cover ${BuildScope.describe(scope)}. Rebuilding the cache...`;
+    } catch (err) {
+      scopeEls.info.textContent = `Error: ${err.message}`;
+    }
+  });
+
+  // ── Refresh Schedule ──────────────────────────────────────────────────
+
+  const freshnessEls = {
+    maxAge:       document.getElementById("maxAgeMinutes"),
+    interval:     document.getElementById("refreshIntervalMinutes"),
+    useWindow:    document.getElementById("useRebuildWindow"),
+    windowStart:  document.getElementById("rebuildWindowStart"),
+    windowEnd:    document.getElementById("rebuildWindowEnd"),
+    skipIdle:     document.getElementById("skipWhenIdle"),
+    skipBattery:  document.getElementById("skipOnBattery"),
+    status:       document.getElementById("freshnessStatus"),
+  };
+
+  for (const [el, key] of [[freshnessEls.maxAge, "maxAgeMinutes"], [freshnessEls.interval, "refreshIntervalMinutes"]]) {
+    el.min = CacheFreshness.LIMITS[key].min;
+    el.max = CacheFreshness.LIMITS[key].max;
+  }
+
+  function showFreshness(settings) {
+    freshnessEls.maxAge.value = settings.maxAgeMinutes;
+    freshnessEls.interval.value = settings.refreshIntervalMinutes;
+    freshnessEls.useWindow.checked = Boolean(settings.rebuildWindow);
+    freshnessEls.windowStart.value = settings.rebuildWindow?.start || freshnessEls.windowStart.value || "22:00";
+    freshnessEls.windowEnd.value = settings.rebuildWindow?.end || freshnessEls.windowEnd.value || "06:00";
+    freshnessEls.windowStart.disabled = freshnessEls.windowEnd.disabled = !settings.rebuildWindow;
+    freshnessEls.skipIdle.checked = settings.skipWhenIdle;
+    freshnessEls.skipBattery.checked = settings.skipOnBattery;
+  }
+
+  async function saveFreshness() {
+    const saved = await CacheFreshness.save({
+      maxAgeMinutes:          freshnessEls.maxAge.value,
+      refreshIntervalMinutes: freshnessEls.interval.value,
+      rebuildWindow:          freshnessEls.useWindow.checked
+        ? { start: freshnessEls.windowStart.value, end: freshnessEls.windowEnd.value }
+        : null,
+      skipWhenIdle:           freshnessEls.skipIdle.checked,
+      skipOnBattery:          freshnessEls.skipBattery.checked,
+    });
+    showFreshness(saved);
+    freshnessEls.status.textContent =
+      freshnessEls.useWindow.checked && !saved.rebuildWindow ? "The window needs two different times." : "";
+    loadCacheStatus();
+  }
+
+  CacheFreshness.load().then(showFreshness);
+  for (const key of ["maxAge", "interval", "useWindow", "windowStart", "windowEnd", "skipIdle", "skipBattery"]) {
+    freshnessEls[key].addEventListener("change", saveFreshness);
+  }
 
   // Listen for progress updates from background.js
   chrome.runtime.onMessage.addListener((msg) => {
@@ -48,16 +209,30 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
-  buildCacheBtn.addEventListener("click", () => {
+  buildCacheBtn.addEventListener("click", () => startBuild(false));
+  fullRebuildBtn.addEventListener("click", () => startBuild(true));
+
+  document.getElementById("openDashboard").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?account=${selectedAccountId || ""}`) });
+  });
+
+  /**
+   * Ask background.js to build the cache. Incremental by default; `full`
+   * forces a complete re-crawl of every project.
+   */
+  function startBuild(full) {
     buildCacheBtn.disabled = true;
-    buildCacheBtn.textContent = "Building...";
+    fullRebuildBtn.disabled = true;
+    (full ? fullRebuildBtn : buildCacheBtn).textContent = "Building...";
     cacheProgressEl.textContent = "Starting cache build...";
 
     chrome.runtime.sendMessage(
-      { type: MSG.BUILD_CACHE },
+      { type: MSG.BUILD_CACHE, accountId: selectedAccountId, full },
       (response) => {
         buildCacheBtn.disabled = false;
+        fullRebuildBtn.disabled = false;
         buildCacheBtn.textContent = "Build Cache";
+        fullRebuildBtn.textContent = "Full Rebuild";
 
         if (chrome.runtime.lastError) {
           cacheProgressEl.textContent = `Error: ${chrome.runtime.lastError.message}`;
@@ -73,24 +248,461 @@ document.addEventListener("DOMContentLoaded", () => {
         loadCacheStatus();
       }
     );
-  });
+  }
 
   function loadCacheStatus() {
-    chrome.storage.local.get(
-      ["companiesCache", "companiesCacheTimestamp", "projectsCache"],
-      (data) => {
-        if (data.companiesCacheTimestamp) {
-          const date = new Date(data.companiesCacheTimestamp);
-          const companyCount = Array.isArray(data.companiesCache) ? data.companiesCache.length : 0;
-          const projectCount = Array.isArray(data.projectsCache) ? data.projectsCache.length : 0;
-          const age = Date.now() - data.companiesCacheTimestamp;
-          const hoursAgo = Math.round(age / (1000 * 60 * 60) * 10) / 10;
-          const stale = age > 24 * 60 * 60 * 1000;
-          cacheInfoEl.textContent = `Last built: ${date.toLocaleString()} (${hoursAgo}h ago) — ${companyCount} companies, ${projectCount} projects${stale ? " (stale)" : ""}`;
-        } else {
-          cacheInfoEl.textContent = "No cache built yet.";
+    buildCacheBtn.disabled = !selectedAccountId;
+    fullRebuildBtn.disabled = !selectedAccountId;
+    exportBtn.disabled = !selectedAccountId;
+    exportSheetBtn.disabled = !selectedAccountId;
+    importBtn.disabled = !selectedAccountId;
+    if (!selectedAccountId) {
+      cacheInfoEl.textContent = "Save a profile to build its cache.";
+      return;
+    }
+
+    // `stale` comes from background.js, which applies the freshness settings
+    chrome.runtime.sendMessage({ type: MSG.GET_CACHE_STATUS, accountId: selectedAccountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        cacheInfoEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      const { timestamp, counts, stale, scope, scopeChanged } = response;
+      if (timestamp) {
+        const date = new Date(timestamp);
+        const companyCount = counts?.companies ?? 0;
+        const projectCount = counts?.projects ?? 0;
+        const hoursAgo = Math.round((Date.now() - timestamp) / (1000 * 60 * 60) * 10) / 10;
+        const scopeNote = (scope ? ` Covers ${scope}.` : "") +
+          (scopeChanged ? " The build scope has changed since; the next build applies it." : "");
+        cacheInfoEl.textContent = `Last built: ${date.toLocaleString()} (${hoursAgo}h ago) — ${companyCount} companies, ${projectCount} projects${stale ? " (stale)" : ""}.${scopeNote}`;
+      } else {
+        cacheInfoEl.textContent = "No cache built yet.";
+      }
+    });
+  }
+
+  // ── Export / Import ───────────────────────────────────────────────────
+
+  const exportBtn = document.getElementById("exportCache");
+  const importBtn = document.getElementById("importCache");
+  const importFileEl = document.getElementById("importCacheFile");
+  const bundleStatusEl = document.getElementById("bundleStatus");
+
+  exportBtn.addEventListener("click", () => {
+    bundleStatusEl.textContent = "Exporting...";
+    chrome.runtime.sendMessage({ type: MSG.EXPORT_CACHE, accountId: selectedAccountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        bundleStatusEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      const { bundle } = response;
+      Exporters.download(
+        new Blob([JSON.stringify(bundle)], { type: "application/json" }),
+        CacheBundle.fileName(bundle)
+      );
+      bundleStatusEl.textContent =
+        `Exported ${bundle.companiesCache.length} companies and ${bundle.projectsCache.length} projects.`;
+    });
+  });
+
+  importBtn.addEventListener("click", () => importFileEl.click());
+
+  importFileEl.addEventListener("change", async () => {
+    const file = importFileEl.files[0];
+    importFileEl.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+      const profile = await Profiles.get(selectedAccountId);
+      CacheBundle.validate(bundle, { accountId: selectedAccountId, region: profile?.region });
+    } catch (err) {
+      bundleStatusEl.textContent = `Error: ${err.message}`;
+      return;
+    }
+
+    const built = new Date(bundle.companiesCacheTimestamp).toLocaleString();
+    if (!confirm(`Replace this profile's cache with the one built ${built} (${bundle.companiesCache.length} companies)?`)) {
+      return;
+    }
+
+    bundleStatusEl.textContent = "Importing...";
+    chrome.runtime.sendMessage({ type: MSG.IMPORT_CACHE, accountId: selectedAccountId, bundle }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        bundleStatusEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      bundleStatusEl.textContent =
+        `Imported ${response.counts.companies} companies, ${response.counts.projects} projects, ` +
+        `${response.counts.users} users.`;
+      loadCacheStatus();
+      loadBuildReport();
+      loadCacheHistory();
+    });
+  });
+
+  // ── Spreadsheet Export ────────────────────────────────────────────────
+
+  const exportTableEl = document.getElementById("exportTable");
+  const exportFormatEl = document.getElementById("exportFormat");
+  const emailsOnlyEl = document.getElementById("exportEmailsOnly");
+  const exportColumnsEl = document.getElementById("exportColumns");
+  const exportSheetBtn = document.getElementById("exportSpreadsheet");
+  const sheetStatusEl = document.getElementById("spreadsheetStatus");
+
+  /**
+   * One fieldset of column checkboxes per table, ticked as in `settings`.
+   */
+  function renderColumnChoices(settings) {
+    exportColumnsEl.textContent = "";
+    for (const [table, { label, columns }] of Object.entries(Exporters.TABLES)) {
+      const fieldset = document.createElement("fieldset");
+      const legend = document.createElement("legend");
+      legend.textContent = label;
+      fieldset.appendChild(legend);
+
+      const chosen = settings.columns?.[table];
+      for (const column of columns) {
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = column.key;
+        box.dataset.table = table;
+        box.checked = !chosen?.length || chosen.includes(column.key);
+
+        const boxLabel = document.createElement("label");
+        boxLabel.className = "checkbox";
+        boxLabel.append(box, column.label);
+        fieldset.appendChild(boxLabel);
+      }
+      exportColumnsEl.appendChild(fieldset);
+    }
+  }
+
+  function readExportSettings() {
+    const columns = {};
+    for (const table of Object.keys(Exporters.TABLES)) {
+      columns[table] = [...exportColumnsEl.querySelectorAll(`input[data-table="${table}"]:checked`)].map(
+        (box) => box.value
+      );
+    }
+    return { format: exportFormatEl.value, emailsOnly: emailsOnlyEl.checked, columns };
+  }
+
+  Exporters.loadSettings().then((settings) => {
+    exportFormatEl.value = settings.format;
+    emailsOnlyEl.checked = settings.emailsOnly;
+    renderColumnChoices(settings);
+  });
+
+  for (const el of [exportFormatEl, emailsOnlyEl, exportColumnsEl]) {
+    el.addEventListener("change", () => chrome.storage.local.set({ exportSettings: readExportSettings() }));
+  }
+
+  exportSheetBtn.addEventListener("click", () => {
+    sheetStatusEl.textContent = "Exporting...";
+    chrome.runtime.sendMessage({ type: MSG.EXPORT_CACHE, accountId: selectedAccountId }, async (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        sheetStatusEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      const { companiesCache, projectsCache } = response.bundle;
+      const tables = {
+        companies:   { table: "companies",   rows: Exporters.companyRows(companiesCache) },
+        projects:    { table: "projects",    rows: Exporters.projectRows(projectsCache) },
+        memberships: { table: "memberships", rows: Exporters.membershipRows(projectsCache, companiesCache) },
+      };
+      const choice = exportTableEl.value;
+      const date = new Date().toISOString().slice(0, 10);
+
+      await Exporters.exportTables(
+        choice === "all" ? Object.values(tables) : [tables[choice]],
+        `acc-${choice}-${date}`,
+        readExportSettings()
+      );
+      sheetStatusEl.textContent = "";
+    });
+  });
+
+  // ── Build Report ──────────────────────────────────────────────────────
+
+  const reportEl = document.getElementById("buildReport");
+  const reportTable = document.getElementById("buildReportIssues");
+  const retryBtn = document.getElementById("retryFailed");
+  const retryProgressEl = document.getElementById("retryProgress");
+
+  retryBtn.addEventListener("click", () => {
+    retryBtn.disabled = true;
+    retryBtn.textContent = "Retrying...";
+    retryProgressEl.textContent = "";
+
+    chrome.runtime.sendMessage({ type: MSG.RETRY_FAILED, accountId: selectedAccountId }, (response) => {
+      retryBtn.disabled = false;
+      retryBtn.textContent = "Retry Failed Projects";
+
+      if (chrome.runtime.lastError || response?.error) {
+        retryProgressEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      renderBuildReport(response.report);
+      loadCacheStatus();
+    });
+  });
+
+  function loadBuildReport() {
+    if (!selectedAccountId) return renderBuildReport(null);
+    chrome.runtime.sendMessage({ type: MSG.GET_BUILD_REPORT, accountId: selectedAccountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) return;
+      renderBuildReport(response.report);
+    });
+  }
+
+  /**
+   * Show the summary line, one table row per non-ok project, and the retry
+   * button when any project failed.
+   */
+  function renderBuildReport(report) {
+    const tbody = reportTable.querySelector("tbody");
+    tbody.textContent = "";
+
+    if (!report) {
+      reportEl.textContent = "No build report yet.";
+      reportTable.hidden = true;
+      retryBtn.hidden = true;
+      return;
+    }
+
+    const { ok, empty, forbidden, error } = report.summary;
+    const finished = new Date(report.finishedAt).toLocaleString();
+    const retried = report.retriedAt ? `, retried ${new Date(report.retriedAt).toLocaleString()}` : "";
+    reportEl.textContent =
+      `${report.mode} build finished ${finished}${retried} — ` +
+      `${report.projectsCrawled}/${report.projectsTotal} projects crawled: ` +
+      `${ok} ok, ${empty} empty, ${forbidden} forbidden, ${error} errors.`;
+
+    for (const issue of report.issues) {
+      const row = document.createElement("tr");
+      const nameCell = document.createElement("td");
+      nameCell.textContent = issue.name || issue.projectId;
+      nameCell.title = issue.projectId;
+
+      const outcomeCell = document.createElement("td");
+      outcomeCell.textContent = issue.status ? `${issue.outcome} (${issue.status})` : issue.outcome;
+      outcomeCell.className = `outcome-${issue.outcome}`;
+
+      const detailCell = document.createElement("td");
+      detailCell.textContent = issue.message || "";
+
+      row.append(nameCell, outcomeCell, detailCell);
+      tbody.appendChild(row);
+    }
+    reportTable.hidden = report.issues.length === 0;
+
+    const failed = forbidden + error;
+    retryBtn.hidden = failed === 0;
+    retryBtn.textContent = `Retry Failed Projects (${failed})`;
+  }
+
+  // ── Build History ─────────────────────────────────────────────────────
+
+  const historyRetentionEl = document.getElementById("historyRetention");
+  const historyInfoEl = document.getElementById("historyInfo");
+  const historyTimelineEl = document.getElementById("historyTimeline");
+
+  // Diff lists (lib/cache-history.js diff()) in display order; `people` lists
+  // hold one entry per company or project with the people who joined or left
+  const HISTORY_CHANGES = [
+    { key: "companiesAdded",   label: "New companies" },
+    { key: "companiesRemoved", label: "Companies removed" },
+    { key: "projectsAdded",    label: "New projects" },
+    { key: "projectsArchived", label: "Projects archived" },
+    { key: "projectsRemoved",  label: "Projects removed" },
+    { key: "usersAdded",       label: "Users added to companies", people: true },
+    { key: "usersRemoved",     label: "Users removed from companies", people: true },
+    { key: "membersAdded",     label: "Members added to projects", people: true },
+    { key: "membersRemoved",   label: "Members removed from projects", people: true },
+  ];
+
+  chrome.storage.local.get(["cacheHistoryRetention"], (data) => {
+    historyRetentionEl.value = data.cacheHistoryRetention || CACHE_HISTORY_RETENTION;
+  });
+
+  historyRetentionEl.addEventListener("change", () => {
+    const value = Math.min(200, Math.max(1, parseInt(historyRetentionEl.value, 10) || CACHE_HISTORY_RETENTION));
+    historyRetentionEl.value = value;
+    chrome.storage.local.set({ cacheHistoryRetention: value });
+  });
+
+  function loadCacheHistory() {
+    if (!selectedAccountId) return renderCacheHistory([]);
+    chrome.runtime.sendMessage({ type: MSG.GET_CACHE_HISTORY, accountId: selectedAccountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) return;
+      renderCacheHistory(response.entries);
+    });
+  }
+
+  function changeCount(change, items) {
+    return change.people ? items.reduce((sum, item) => sum + item.people.length, 0) : items.length;
+  }
+
+  /**
+   * One timeline entry per build, newest first: a summary line that expands
+   * into the changed companies, projects and people.
+   */
+  function renderCacheHistory(entries) {
+    historyTimelineEl.textContent = "";
+    historyInfoEl.textContent = entries.length
+      ? `${entries.length} build${entries.length === 1 ? "" : "s"} recorded.`
+      : "No build history yet.";
+
+    for (const entry of entries) {
+      const item = document.createElement("li");
+      const when = `${new Date(entry.takenAt).toLocaleString()} (${entry.mode})`;
+
+      if (!entry.diff || CacheHistory.isEmpty(entry.diff)) {
+        item.textContent = `${when} — ${entry.diff ? "no changes" : "baseline, nothing to compare with"}`;
+        historyTimelineEl.appendChild(item);
+        continue;
+      }
+
+      const changes = HISTORY_CHANGES.filter((change) => entry.diff[change.key].length);
+      const details = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.textContent = `${when} — ` + changes
+        .map((change) => `${changeCount(change, entry.diff[change.key])} ${change.label.toLowerCase()}`)
+        .join(", ");
+      details.appendChild(summary);
+
+      for (const change of changes) {
+        const group = document.createElement("div");
+        group.className = "change-group";
+        const title = document.createElement("b");
+        title.textContent = change.label;
+        const list = document.createElement("ul");
+        for (const record of entry.diff[change.key]) {
+          const line = document.createElement("li");
+          line.textContent = change.people
+            ? `${record.name}: ${record.people.map((p) => p.label).join(", ")}`
+            : record.name || record.uuid;
+          line.title = record.uuid;
+          list.appendChild(line);
         }
+        group.append(title, list);
+        details.appendChild(group);
       }
-    );
+
+      item.appendChild(details);
+      historyTimelineEl.appendChild(item);
+    }
   }
+
+  // ── Watchlist ─────────────────────────────────────────────────────────
+
+  const watchlistInfoEl = document.getElementById("watchlistInfo");
+  const watchlistTable = document.getElementById("watchlistTable");
+  const WATCH_TYPE_LABELS = { companies: "Company", projects: "Project", users: "Person" };
+
+  async function loadWatchlist() {
+    const entries = selectedAccountId ? await Watchlist.list(selectedAccountId) : [];
+    const tbody = watchlistTable.querySelector("tbody");
+    tbody.textContent = "";
+    watchlistInfoEl.textContent = entries.length
+      ? `${entries.length} watched record${entries.length === 1 ? "" : "s"}.`
+      : "Nothing watched yet.";
+    watchlistTable.hidden = entries.length === 0;
+
+    for (const entry of entries) {
+      const row = document.createElement("tr");
+      const typeCell = document.createElement("td");
+      typeCell.textContent = WATCH_TYPE_LABELS[entry.type];
+      const nameCell = document.createElement("td");
+      nameCell.textContent = entry.name || entry.uuid;
+      nameCell.title = entry.uuid;
+
+      const actionCell = document.createElement("td");
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "secondary";
+      removeBtn.textContent = "Unwatch";
+      removeBtn.addEventListener("click", () => Watchlist.setWatched(selectedAccountId, entry, false));
+      actionCell.appendChild(removeBtn);
+
+      row.append(typeCell, nameCell, actionCell);
+      tbody.appendChild(row);
+    }
+  }
+
+  // Entries are added from ACC tabs while this page may be open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.watchlist) loadWatchlist();
+  });
+
+  // ── Setup Wizard ──────────────────────────────────────────────────────
+  // On first run (no profile yet) or via #setup, the page walks through its
+  // own sections one at a time: the <section data-step> elements, in order.
+
+  const wizardSteps  = [...document.querySelectorAll("section[data-step]")];
+  const wizardStepEl = document.getElementById("wizardStep");
+  const wizardBack   = document.getElementById("wizardBack");
+  const wizardNext   = document.getElementById("wizardNext");
+  const wizardStatus = document.getElementById("wizardStatus");
+  let wizardIndex = 0;
+
+  function showWizardStep(index) {
+    wizardIndex = index;
+    wizardSteps.forEach((section, i) => section.classList.toggle("current", i === index));
+    wizardStepEl.textContent = `Step ${index + 1} of ${wizardSteps.length}: ${wizardSteps[index].dataset.title}`;
+    wizardBack.disabled = index === 0;
+    wizardNext.textContent = index === wizardSteps.length - 1 ? "Finish" : "Next";
+    wizardStatus.textContent = "";
+  }
+
+  function startWizard() {
+    document.body.classList.add("wizard");
+    showWizardStep(0);
+  }
+
+  function endWizard() {
+    document.body.classList.remove("wizard");
+    history.replaceState(null, "", location.pathname);
+  }
+
+  /**
+   * Why the current step can't be left yet, or null when it can.
+   */
+  async function wizardBlocker() {
+    switch (wizardSteps[wizardIndex].id) {
+      case "vaultSection":
+        return (await SecretVault.status()) === "unlocked" ? null : "Set your passphrase to continue.";
+      case "profileSection":
+        if (!connectionPassed) return "Run Test Connection and fix any failed step to continue.";
+        if (!selectedAccountId) return "Save the profile to continue.";
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  wizardBack.addEventListener("click", () => showWizardStep(wizardIndex - 1));
+
+  wizardNext.addEventListener("click", async () => {
+    const blocker = await wizardBlocker();
+    if (blocker) {
+      wizardStatus.textContent = blocker;
+      wizardStatus.className = "status error";
+      return;
+    }
+    if (wizardIndex === wizardSteps.length - 1) return endWizard();
+    showWizardStep(wizardIndex + 1);
+  });
+
+  document.getElementById("wizardExit").addEventListener("click", endWizard);
+
+  window.addEventListener("hashchange", () => {
+    if (location.hash === "#setup") startWizard();
+  });
+
+  Profiles.list().then((profiles) => {
+    if (profiles.length === 0 || location.hash === "#setup") startWizard();
+  });
 });
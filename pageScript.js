@@ -1,11 +1,18 @@
 // pageScript.js - Runs in the PAGE context (not extension context)
-// Intercepts the auth token from ACC's own fetch calls, and handles
-// API requests from the content script via postMessage.
+// Intercepts the auth token, account and data-centre region of ACC's own
+// fetch calls, and hands them to the content script via postMessage.
+//
+// Injected by api.js only in the "Use my ACC session" auth mode. Self-contained
+// on purpose: anything declared at the top level of an injected script lands in
+// ACC's own global scope, so no lib/ files are injected alongside it.
 
 (function () {
-  const ACC_API_BASE = "https://developer.api.autodesk.com";
   let capturedToken = null;
   let capturedAccountId = null;
+  let capturedRegion = null; // APS_REGIONS key seen on ACC's own requests
+
+  // Keys of APS_REGIONS (lib/aps-constants.js)
+  const REGIONS = ["US", "EMEA", "AUS"];
 
   // ── Intercept fetch to capture the bearer token ─────────────────────
   const originalFetch = window.fetch;
@@ -17,12 +24,15 @@
     if (url.includes("developer.api.autodesk.com")) {
       const headers = init?.headers;
       let authValue = null;
+      let regionValue = null;
 
       if (headers instanceof Headers) {
         authValue = headers.get("Authorization");
+        regionValue = headers.get("Region");
       } else if (headers && typeof headers === "object") {
         authValue =
           headers["Authorization"] || headers["authorization"];
+        regionValue = headers["Region"] || headers["region"];
       }
 
       if (authValue && authValue.startsWith("Bearer ")) {
@@ -30,6 +40,13 @@
         console.log("ACC Enhancer: captured token from", url.substring(0, 80) + "...");
       }
 
+      // Region: sent as a header, or for EMEA as HQ v1's /regions/eu/ path
+      if (/\/hq\/v1\/regions\/eu\//i.test(url)) {
+        capturedRegion = "EMEA";
+      } else if (regionValue && REGIONS.includes(regionValue.toUpperCase())) {
+        capturedRegion = regionValue.toUpperCase();
+      }
+
       // Extract account_id from URL
       const accountMatch = url.match(/\/accounts\/([a-f0-9-]{36})\//i);
       if (accountMatch) {
@@ -48,127 +65,38 @@
     capturedAccountId = pageAccountMatch[1];
   }
 
-  // ── Handle API requests from content script ─────────────────────────
-  window.addEventListener("message", async (event) => {
+  // ── Hand the captured credentials to the content script ─────────────
+  // The API calls themselves run in the content script (api.js callApi()),
+  // with the extension's own fetch; only the token crosses over.
+  window.addEventListener("message", (event) => {
     if (event.source !== window) return;
     if (event.data?.type !== "ACC_ENHANCER_REQUEST") return;
 
-    const { requestId, action, params } = event.data;
-
-    try {
-      if (!capturedToken) {
-        throw new Error(
-          "No token captured yet. Navigate around ACC to trigger API calls, then try again."
-        );
-      }
-
-      let result;
-      switch (action) {
-        case "fetchAllUsers":
-          result = await _fetchAllUsers();
-          break;
-        case "fetchAllProjects":
-          result = await _fetchAllProjects();
-          break;
-        case "fetchProjectCompanies":
-          result = await _fetchProjectCompanies(params.projectId);
-          break;
-        case "searchCompany":
-          result = await _searchCompany(params.companyName);
-          break;
-        case "getCredentials":
-          result = {
-            token: capturedToken ? "captured" : null,
-            accountId: capturedAccountId,
-          };
-          break;
-        default:
-          throw new Error(`Unknown action: ${action}`);
-      }
-
-      window.postMessage(
-        { type: "ACC_ENHANCER_RESPONSE", requestId, result },
-        "*"
-      );
-    } catch (err) {
-      window.postMessage(
-        { type: "ACC_ENHANCER_RESPONSE", requestId, error: err.message },
-        "*"
-      );
-    }
-  });
-
-  // ── API functions (run in page context with page's auth) ────────────
-
-  async function _authenticatedFetch(url) {
-    console.log("ACC Enhancer: fetching", url);
-    const resp = await originalFetch(url, {
-      headers: { Authorization: `Bearer ${capturedToken}` },
-    });
-    if (resp.status === 401) {
-      capturedToken = null;
-      throw new Error(
-        "Token expired. Navigate within ACC to refresh, then try again."
-      );
-    }
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => "");
-      console.error("ACC Enhancer: API failed", resp.status, url, body);
-      throw new Error(`API failed: ${resp.status} ${resp.statusText} — ${url.split("?")[0]}`);
-    }
-    return resp;
-  }
-
-  async function _fetchAllUsers() {
-    if (!capturedAccountId) throw new Error("No account ID available.");
-    const users = [];
-    let offset = 0;
-    const limit = 100;
-
-    while (true) {
-      const url = `${ACC_API_BASE}/hq/v1/accounts/${capturedAccountId}/users?limit=${limit}&offset=${offset}`;
-      const resp = await _authenticatedFetch(url);
-      const batch = await resp.json();
-      if (!Array.isArray(batch) || batch.length === 0) break;
-      users.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
+    const { requestId, action } = event.data;
+    let response;
+    switch (action) {
+      case "getCredentials":
+        response = {
+          result: {
+            token: capturedToken,
+            // The account of the tab's URL as api.js sees it; ACC's own
+            // requests may have been for another account opened earlier
+            accountId: event.data.accountId || capturedAccountId,
+            region: capturedRegion,
+          },
+        };
+        break;
+      case "dropToken":
+        // APS rejected the token; wait for ACC to use a fresh one
+        capturedToken = null;
+        response = { result: null };
+        break;
+      default:
+        response = { error: `Unknown action: ${action}` };
     }
-    return users;
-  }
-
-  async function _fetchAllProjects() {
-    if (!capturedAccountId) throw new Error("No account ID available.");
-    const projects = [];
-    let offset = 0;
-    const limit = 200;
 
-    while (true) {
-      const url = `${ACC_API_BASE}/construction/admin/v1/accounts/${capturedAccountId}/projects?offset=${offset}&limit=${limit}`;
-      const resp = await _authenticatedFetch(url);
-      const payload = await resp.json();
-      const batch = payload.results || payload;
-      if (!Array.isArray(batch) || batch.length === 0) break;
-      projects.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-    return projects;
-  }
-
-  async function _fetchProjectCompanies(projectId) {
-    if (!capturedAccountId) throw new Error("No account ID available.");
-    const url = `${ACC_API_BASE}/hq/v1/accounts/${capturedAccountId}/projects/${projectId}/companies`;
-    const resp = await _authenticatedFetch(url);
-    return resp.json();
-  }
-
-  async function _searchCompany(companyName) {
-    if (!capturedAccountId) throw new Error("No account ID available.");
-    const url = `${ACC_API_BASE}/hq/v1/accounts/${capturedAccountId}/companies/search?name=${encodeURIComponent(companyName)}`;
-    const resp = await _authenticatedFetch(url);
-    return resp.json();
-  }
+    window.postMessage({ type: "ACC_ENHANCER_RESPONSE", requestId, ...response }, "*");
+  });
 
   console.log("ACC Companies Enhancer: page script loaded");
 })();
@@ -1,44 +1,129 @@
 // popup.js - Compact popup for APS credentials and cache management
 
 document.addEventListener("DOMContentLoaded", () => {
-  // Load saved values
-  chrome.storage.local.get(
-    ["apsClientId", "apsClientSecret", "apsAccountId"],
-    (data) => {
-      if (data.apsClientId) document.getElementById("clientId").value = data.apsClientId;
-      if (data.apsClientSecret) document.getElementById("clientSecret").value = data.apsClientSecret;
-      if (data.apsAccountId) document.getElementById("accountId").value = data.apsAccountId;
-    }
-  );
+  // ── Profiles ──────────────────────────────────────────────────────────
 
-  document.getElementById("save").addEventListener("click", () => {
-    const clientId = document.getElementById("clientId").value.trim();
-    const clientSecret = document.getElementById("clientSecret").value.trim();
-    const accountId = document.getElementById("accountId").value.trim();
-    const statusEl = document.getElementById("status");
+  let selectedAccountId = null;
 
-    if (!clientId || !clientSecret || !accountId) {
-      statusEl.textContent = "All fields are required.";
-      statusEl.className = "status error";
-      return;
-    }
+  function profileElements() {
+    return {
+      select:       document.getElementById("profileSelect"),
+      name:         document.getElementById("profileName"),
+      region:       document.getElementById("region"),
+      clientId:     document.getElementById("clientId"),
+      clientSecret: document.getElementById("clientSecret"),
+      accountId:    document.getElementById("accountId"),
+      saveBtn:      document.getElementById("save"),
+      deleteBtn:    document.getElementById("deleteProfile"),
+      status:       document.getElementById("status"),
+      testBtn:      document.getElementById("testConnection"),
+      testResults:  document.getElementById("testResults"),
+    };
+  }
+
+  // ── First Run ─────────────────────────────────────────────────────────
+  // Without any profile, offer the options page's setup wizard instead of
+  // the bare form.
+
+  Profiles.list().then((profiles) => {
+    if (profiles.length > 0) return;
+    document.getElementById("main").hidden = true;
+    document.getElementById("setupPrompt").hidden = false;
+  });
+
+  document.getElementById("startSetup").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("options.html#setup") });
+    window.close();
+  });
+
+  // ── Passphrase ────────────────────────────────────────────────────────
+
+  VaultForm.attach({
+    status:     document.getElementById("vaultStatus"),
+    passphrase: document.getElementById("passphrase"),
+    confirm:    document.getElementById("passphraseConfirm"),
+    unlockBtn:  document.getElementById("unlockVault"),
+    lockBtn:    document.getElementById("lockVault"),
+    resetBtn:   document.getElementById("resetVault"),
+  });
+
+  // ── Authentication ────────────────────────────────────────────────────
+
+  const useSessionEl = document.getElementById("useSession");
+  const authSourceEl = document.getElementById("authSource");
+  let activeTab = null;
 
+  chrome.storage.local.get(["authMode"], (data) => {
+    useSessionEl.checked = data.authMode === AUTH_MODE.SESSION;
+  });
+
+  useSessionEl.addEventListener("change", () => {
     chrome.storage.local.set(
-      { apsClientId: clientId, apsClientSecret: clientSecret, apsAccountId: accountId },
-      () => {
-        statusEl.textContent = "Saved!";
-        statusEl.className = "status";
-      }
+      { authMode: useSessionEl.checked ? AUTH_MODE.SESSION : AUTH_MODE.CREDENTIALS },
+      () => showAuthSource()
     );
   });
 
+  /**
+   * Show which credentials API calls in the active ACC tab use. The content
+   * script there knows whether pageScript.js has captured a session token.
+   */
+  function showAuthSource() {
+    const sessionMode = useSessionEl.checked;
+    if (!activeTab?.url?.startsWith("https://acc.autodesk.com/")) {
+      authSourceEl.textContent = sessionMode
+        ? "Active: your ACC session when available (open an ACC page)."
+        : "Active: APS credentials of the profile.";
+      return;
+    }
+
+    chrome.tabs.sendMessage(activeTab.id, { type: MSG.GET_AUTH_SOURCE }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        authSourceEl.textContent = "Reload the ACC page to detect its auth source.";
+        return;
+      }
+      if (response.source === AUTH_MODE.SESSION) {
+        authSourceEl.textContent = "Active: your ACC session (token captured from this page).";
+      } else if (response.mode === AUTH_MODE.SESSION) {
+        authSourceEl.textContent =
+          "Active: APS credentials — no ACC session token captured yet. Navigate within ACC to capture one.";
+      } else {
+        authSourceEl.textContent = "Active: APS credentials of the profile.";
+      }
+    });
+  }
+
   // ── Cache Management ──────────────────────────────────────────────────
 
   const cacheInfoEl = document.getElementById("cacheInfo");
   const buildCacheBtn = document.getElementById("buildCache");
+  const fullRebuildBtn = document.getElementById("fullRebuild");
   const cacheProgressEl = document.getElementById("cacheProgress");
 
-  loadCacheStatus();
+  // Default to the profile of the ACC account open in the active tab
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    activeTab = tab;
+    showAuthSource();
+    ProfileForm.attach(profileElements(), {
+      preferAccountId: Profiles.accountIdFromUrl(tab?.url),
+      onSelect: (accountId) => {
+        selectedAccountId = accountId;
+        loadCacheStatus();
+        userResultEl.replaceChildren();
+      },
+    });
+  });
+
+  BuildProgress.attach(
+    {
+      container: document.getElementById("buildProgress"),
+      bar:       document.getElementById("buildProgressBar"),
+      stats:     document.getElementById("buildProgressStats"),
+      pauseBtn:  document.getElementById("pauseBuild"),
+      cancelBtn: document.getElementById("cancelBuild"),
+    },
+    () => loadCacheStatus()
+  );
 
   // Listen for progress updates from background.js
   chrome.runtime.onMessage.addListener((msg) => {
@@ -47,16 +132,31 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
-  buildCacheBtn.addEventListener("click", () => {
+  buildCacheBtn.addEventListener("click", () => startBuild(false));
+  fullRebuildBtn.addEventListener("click", () => startBuild(true));
+
+  document.getElementById("openDashboard").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?account=${selectedAccountId || ""}`) });
+    window.close();
+  });
+
+  /**
+   * Ask background.js to build the cache. Incremental by default; `full`
+   * forces a complete re-crawl of every project.
+   */
+  function startBuild(full) {
     buildCacheBtn.disabled = true;
-    buildCacheBtn.textContent = "Building...";
+    fullRebuildBtn.disabled = true;
+    (full ? fullRebuildBtn : buildCacheBtn).textContent = "Building...";
     cacheProgressEl.textContent = "Starting...";
 
     chrome.runtime.sendMessage(
-      { type: MSG.BUILD_CACHE },
+      { type: MSG.BUILD_CACHE, accountId: selectedAccountId, full },
       (response) => {
         buildCacheBtn.disabled = false;
+        fullRebuildBtn.disabled = false;
         buildCacheBtn.textContent = "Build Cache";
+        fullRebuildBtn.textContent = "Full Rebuild";
 
         if (chrome.runtime.lastError) {
           cacheProgressEl.textContent = `Error: ${chrome.runtime.lastError.message}`;
@@ -72,24 +172,98 @@ document.addEventListener("DOMContentLoaded", () => {
         loadCacheStatus();
       }
     );
-  });
+  }
 
   function loadCacheStatus() {
-    chrome.storage.local.get(
-      ["companiesCache", "companiesCacheTimestamp", "projectsCache"],
-      (data) => {
-        if (data.companiesCacheTimestamp) {
-          const date = new Date(data.companiesCacheTimestamp);
-          const companyCount = Array.isArray(data.companiesCache) ? data.companiesCache.length : 0;
-          const projectCount = Array.isArray(data.projectsCache) ? data.projectsCache.length : 0;
-          const age = Date.now() - data.companiesCacheTimestamp;
-          const hoursAgo = Math.round(age / (1000 * 60 * 60) * 10) / 10;
-          const stale = age > 24 * 60 * 60 * 1000;
-          cacheInfoEl.textContent = `${companyCount} companies, ${projectCount} projects | ${date.toLocaleDateString()} ${date.toLocaleTimeString()} (${hoursAgo}h ago)${stale ? " — stale" : ""}`;
-        } else {
-          cacheInfoEl.textContent = "No cache built yet.";
+    buildCacheBtn.disabled = !selectedAccountId;
+    fullRebuildBtn.disabled = !selectedAccountId;
+    if (!selectedAccountId) {
+      cacheInfoEl.textContent = "Save a profile to build its cache.";
+      return;
+    }
+
+    // `stale` comes from background.js, which applies the freshness settings
+    chrome.runtime.sendMessage({ type: MSG.GET_CACHE_STATUS, accountId: selectedAccountId }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        cacheInfoEl.textContent = `Error: ${chrome.runtime.lastError?.message || response.error}`;
+        return;
+      }
+      const { timestamp, counts, stale, scope } = response;
+      if (timestamp) {
+        const date = new Date(timestamp);
+        const companyCount = counts?.companies ?? 0;
+        const projectCount = counts?.projects ?? 0;
+        const hoursAgo = Math.round((Date.now() - timestamp) / (1000 * 60 * 60) * 10) / 10;
+        cacheInfoEl.textContent = `${companyCount} companies, ${projectCount} projects | ${date.toLocaleDateString()} ${date.toLocaleTimeString()} (${hoursAgo}h ago)${stale ? " — stale" : ""}${scope ? ` | Scope: ${scope}` : ""}`;
+      } else {
+        cacheInfoEl.textContent = "No cache built yet.";
+      }
+    });
+  }
+
+  // ── Find User ─────────────────────────────────────────────────────────
+  // Answers "which projects is this person on, and for which company?" from
+  // the users index of the selected profile's cache.
+
+  const userQueryEl = document.getElementById("userQuery");
+  const findUserBtn = document.getElementById("findUser");
+  const userResultEl = document.getElementById("userResult");
+
+  function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+  }
+
+  function renderUser(user) {
+    const heading = el("div");
+    heading.append(el("strong", user.name || user.email), ` — ${user.email}`);
+    const company = el(
+      "div",
+      user.companyName ? `Company: ${user.companyName}` : "Not an account user (project member only)",
+      "muted"
+    );
+    const projects = el("div", `${user.projects.length} project${user.projects.length === 1 ? "" : "s"}:`);
+    const list = el("ul");
+    for (const project of user.projects) {
+      const item = el("li", project.name);
+      if (project.companyName && project.companyName !== user.companyName) {
+        item.append(" ", el("span", `(as ${project.companyName})`, "muted"));
+      }
+      list.append(item);
+    }
+    userResultEl.replaceChildren(heading, company, projects, list);
+  }
+
+  function findUser() {
+    const query = userQueryEl.value.trim();
+    if (!query || !selectedAccountId) return;
+
+    chrome.runtime.sendMessage(
+      {
+        type:      MSG.LOOKUP_USER,
+        accountId: selectedAccountId,
+        ...(query.includes("@") ? { email: query } : { name: query }),
+      },
+      (response) => {
+        if (chrome.runtime.lastError || response?.error) {
+          userResultEl.replaceChildren(
+            el("div", `Error: ${chrome.runtime.lastError?.message || response.error}`, "status error")
+          );
+          return;
         }
+        if (!response.user) {
+          userResultEl.replaceChildren(el("div", `No cached user matches "${query}".`, "muted"));
+          return;
+        }
+        renderUser(response.user);
       }
     );
   }
+
+  findUserBtn.addEventListener("click", findUser);
+  userQueryEl.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") findUser();
+  });
 });